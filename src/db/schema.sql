@@ -6,6 +6,8 @@ CREATE TABLE IF NOT EXISTS products (
   unit VARCHAR(50) NULL,
   price DECIMAL(12,2) NOT NULL DEFAULT 0,
   gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  archived_at DATETIME NULL,
+  archived_by VARCHAR(100) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -13,19 +15,49 @@ CREATE TABLE IF NOT EXISTS quotes (
   id INT AUTO_INCREMENT PRIMARY KEY,
   quote_no VARCHAR(50) NULL,
   quote_date DATE NOT NULL,
+  valid_until DATE NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  status_changed_at DATETIME NULL,
+  status_changed_by VARCHAR(100) NULL,
   customer_name VARCHAR(200) NOT NULL,
   customer_phone VARCHAR(50) NULL,
   customer_email VARCHAR(120) NULL,
   customer_address TEXT NULL,
   customer_gstin VARCHAR(50) NULL,
+  customer_id INT NULL,
+  place_of_supply VARCHAR(2) NULL,
   selected_bank_key VARCHAR(100) NULL,
   proposal_items_json LONGTEXT NULL,
+  system_kwp DECIMAL(8,2) NULL,
+  module_wattage INT NULL,
+  inverter_kw DECIMAL(8,2) NULL,
+  subsidy_category VARCHAR(30) NULL,
+  subsidy_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_type VARCHAR(10) NULL,
+  discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  line_discount_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  projection_yield DECIMAL(8,2) NULL,
+  projection_tariff DECIMAL(8,2) NULL,
+  projection_escalation DECIMAL(5,2) NULL,
+  projection_first_year_degradation DECIMAL(5,2) NULL,
+  projection_annual_degradation DECIMAL(5,2) NULL,
+  language VARCHAR(5) NOT NULL DEFAULT 'en',
+  proposal_template_id INT NULL,
+  other_charges_json LONGTEXT NULL,
+  customer_scope_json LONGTEXT NULL,
+  terms_json LONGTEXT NULL,
+  warranty_json LONGTEXT NULL,
   subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
   cgst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
   sgst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  igst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
   total DECIMAL(12,2) NOT NULL DEFAULT 0,
   notes TEXT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  revision_no INT NOT NULL DEFAULT 0,
+  created_by_user_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_quotes_quote_no (quote_no)
 );
 
 CREATE TABLE IF NOT EXISTS quote_items (
@@ -39,13 +71,245 @@ CREATE TABLE IF NOT EXISTS quote_items (
   qty DECIMAL(12,2) NOT NULL DEFAULT 0,
   unit_price DECIMAL(12,2) NOT NULL DEFAULT 0,
   gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  discount_type VARCHAR(10) NULL,
+  discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  quote_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
   taxable DECIMAL(12,2) NOT NULL DEFAULT 0,
   cgst DECIMAL(12,2) NOT NULL DEFAULT 0,
   sgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  igst DECIMAL(12,2) NOT NULL DEFAULT 0,
   total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  kit_group VARCHAR(40) NULL,
+  kit_name VARCHAR(200) NULL,
+  kit_bundle TINYINT(1) NOT NULL DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   CONSTRAINT fk_quote_items_quote
     FOREIGN KEY (quote_id)
     REFERENCES quotes(id)
     ON DELETE CASCADE
 );
+
+CREATE TABLE IF NOT EXISTS quote_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  quote_id INT NOT NULL,
+  revision_no INT NOT NULL,
+  quote_json LONGTEXT NOT NULL,
+  items_json LONGTEXT NOT NULL,
+  subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_quote_revisions_quote_revision (quote_id, revision_no),
+  CONSTRAINT fk_quote_revisions_quote
+    FOREIGN KEY (quote_id)
+    REFERENCES quotes(id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS quote_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  quote_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  changed_by VARCHAR(100) NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_quote_status_history_quote
+    FOREIGN KEY (quote_id)
+    REFERENCES quotes(id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS document_sequences (
+  series VARCHAR(30) NOT NULL,
+  period VARCHAR(20) NOT NULL,
+  next_value INT NOT NULL DEFAULT 1,
+  start_value INT NOT NULL DEFAULT 1,
+  issued_through INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (series, period)
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_no VARCHAR(50) NOT NULL,
+  invoice_date DATE NOT NULL,
+  quote_id INT NOT NULL,
+  quote_no VARCHAR(50) NULL,
+  quote_revision_no INT NULL,
+  customer_name VARCHAR(200) NOT NULL,
+  customer_phone VARCHAR(50) NULL,
+  customer_email VARCHAR(120) NULL,
+  customer_address TEXT NULL,
+  customer_gstin VARCHAR(50) NULL,
+  place_of_supply VARCHAR(2) NULL,
+  reverse_charge TINYINT(1) NOT NULL DEFAULT 0,
+  selected_bank_key VARCHAR(100) NULL,
+  discount_type VARCHAR(10) NULL,
+  discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  line_discount_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+  cgst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  sgst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  igst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_by VARCHAR(100) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_invoices_invoice_no (invoice_no),
+  UNIQUE KEY uq_invoices_quote (quote_id),
+  CONSTRAINT fk_invoices_quote
+    FOREIGN KEY (quote_id)
+    REFERENCES quotes(id)
+);
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id INT NOT NULL,
+  product_id INT NULL,
+  name VARCHAR(200) NOT NULL,
+  description TEXT NULL,
+  hsn VARCHAR(50) NULL,
+  unit VARCHAR(50) NULL,
+  qty DECIMAL(12,2) NOT NULL DEFAULT 0,
+  unit_price DECIMAL(12,2) NOT NULL DEFAULT 0,
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  taxable DECIMAL(12,2) NOT NULL DEFAULT 0,
+  cgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  sgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  igst DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_type VARCHAR(10) NULL,
+  discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+  discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  quote_discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  CONSTRAINT fk_invoice_items_invoice
+    FOREIGN KEY (invoice_id)
+    REFERENCES invoices(id)
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(60) NOT NULL,
+  display_name VARCHAR(120) NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'sales',
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  password_changed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_users_username (username)
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id VARCHAR(64) NOT NULL PRIMARY KEY,
+  user_id INT NOT NULL,
+  created_at DATETIME NOT NULL,
+  last_seen_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  ip_address VARCHAR(64) NULL,
+  user_agent VARCHAR(255) NULL,
+  KEY idx_user_sessions_user (user_id),
+  CONSTRAINT fk_user_sessions_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS login_throttles (
+  throttle_key VARCHAR(190) NOT NULL PRIMARY KEY,
+  failure_count INT NOT NULL DEFAULT 0,
+  last_failure_at DATETIME NOT NULL,
+  locked_until DATETIME NULL
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  entity_type VARCHAR(30) NOT NULL,
+  entity_id VARCHAR(60) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  user_id INT NULL,
+  username VARCHAR(100) NULL,
+  changes_json LONGTEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_audit_log_entity (entity_type, entity_id),
+  KEY idx_audit_log_created (created_at)
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  phone VARCHAR(50) NULL,
+  phone_key VARCHAR(20) NULL,
+  email VARCHAR(120) NULL,
+  address TEXT NULL,
+  gstin VARCHAR(50) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_customers_gstin (gstin),
+  KEY idx_customers_phone_key (phone_key),
+  KEY idx_customers_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS product_price_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  price DECIMAL(12,2) NOT NULL DEFAULT 0,
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  effective_from DATETIME NOT NULL,
+  changed_by VARCHAR(100) NULL,
+  KEY idx_product_price_history_product (product_id, effective_from)
+);
+
+CREATE TABLE IF NOT EXISTS kits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  description TEXT NULL,
+  show_as_bundle TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_kits_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS kit_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  kit_id INT NOT NULL,
+  product_id INT NOT NULL,
+  qty DECIMAL(12,2) NOT NULL DEFAULT 1,
+  sort_order INT NOT NULL DEFAULT 0,
+  CONSTRAINT fk_kit_items_kit
+    FOREIGN KEY (kit_id)
+    REFERENCES kits(id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS company_settings (
+  setting_key VARCHAR(60) PRIMARY KEY,
+  setting_value TEXT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS company_setting_rows (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  section VARCHAR(40) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  row_json TEXT NOT NULL,
+  KEY idx_company_setting_rows_section (section, sort_order)
+);
+
+CREATE TABLE IF NOT EXISTS company_setting_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  section VARCHAR(40) NOT NULL,
+  language VARCHAR(5) NOT NULL,
+  source_key CHAR(64) NOT NULL,
+  source_json TEXT NOT NULL,
+  row_json TEXT NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_company_setting_translations (section, language, source_key)
+);
+
+CREATE TABLE IF NOT EXISTS proposal_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(120) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  rows_json TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_proposal_templates_name (name)
+);
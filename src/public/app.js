@@ -1,12 +1,35 @@
 (() => {
   const products = Array.isArray(window.PRESET_PRODUCTS) ? window.PRESET_PRODUCTS : [];
+  const kits = Array.isArray(window.PRESET_KITS) ? window.PRESET_KITS : [];
   const initialItems = Array.isArray(window.INITIAL_QUOTE_ITEMS) ? window.INITIAL_QUOTE_ITEMS : [];
   const initialProposalItems = Array.isArray(window.INITIAL_PROPOSAL_ITEMS) ? window.INITIAL_PROPOSAL_ITEMS : [];
+  const proposalTemplates = Array.isArray(window.PROPOSAL_TEMPLATES) ? window.PROPOSAL_TEMPLATES : [];
+  const gstStates = Array.isArray(window.GST_STATES) ? window.GST_STATES : [];
+  const sizingConfig = window.SIZING_CONFIG || {};
+  const subsidyOptions = window.SUBSIDY_OPTIONS || {};
+  const companyStateCode = String(window.COMPANY_STATE_CODE || '');
 
   const tableBody = document.querySelector('#items-table tbody');
   const addBtn = document.getElementById('add-item');
   const form = document.getElementById('quote-form');
 
+  // Product import: load the picked file into the textarea that gets posted.
+  const csvFileInput = document.getElementById('csv-file');
+  const csvTextInput = document.getElementById('csv-text');
+  if (csvFileInput && csvTextInput && window.FileReader) {
+    csvFileInput.addEventListener('change', () => {
+      const file = csvFileInput.files && csvFileInput.files[0];
+      if (!file) {
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => {
+        csvTextInput.value = String(reader.result || '');
+      };
+      reader.readAsText(file);
+    });
+  }
+
   if (!tableBody || !addBtn || !form) {
     return;
   }
@@ -14,6 +37,117 @@
   const proposalBody = document.querySelector('#proposal-items-table tbody');
   const proposalItemsInput = document.getElementById('proposal-items-json');
   const addProposalBtn = document.getElementById('add-proposal-item');
+  const proposalTemplateSelect = document.getElementById('proposal-template');
+  const gstinInput = form.querySelector('input[name="customer_gstin"]');
+  const placeOfSupplySelect = document.getElementById('place-of-supply');
+  const placeOfSupplyHint = document.getElementById('place-of-supply-hint');
+  const gstinHint = document.getElementById('gstin-hint');
+  const gstinServerError = document.getElementById('gstin-server-error');
+  const customerIdInput = document.getElementById('customer-id');
+  const customerNameInput = document.getElementById('customer-name');
+  const customerPhoneInput = document.getElementById('customer-phone');
+  const customerEmailInput = document.getElementById('customer-email');
+  const customerAddressInput = document.getElementById('customer-address');
+  const customerSuggestions = document.getElementById('customer-suggestions');
+  const customerSearchUrl = String(window.CUSTOMER_SEARCH_URL || '');
+  const sizingKwpInput = document.getElementById('sizing-kwp');
+  const sizingWattageSelect = document.getElementById('sizing-module-wattage');
+  const sizingInverterSelect = document.getElementById('sizing-inverter');
+  const sizingResults = document.getElementById('sizing-results');
+  const sizingApplyBtn = document.getElementById('sizing-apply');
+  const sizingHint = document.getElementById('sizing-hint');
+  const subsidyCategorySelect = document.getElementById('subsidy-category');
+  const subsidyHint = document.getElementById('subsidy-hint');
+  const quoteDiscountInput = document.getElementById('quote-discount-value');
+  const quoteDiscountTypeSelect = document.getElementById('quote-discount-type');
+  const gstinPattern = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+  const gstinCharset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+  const stateNames = {};
+  gstStates.forEach((state) => {
+    stateNames[state.code] = state.name;
+  });
+
+  // Same precedence as the server: picked state, then GSTIN prefix, then our own state.
+  function getPlaceOfSupply() {
+    const picked = placeOfSupplySelect ? placeOfSupplySelect.value : '';
+    if (stateNames[picked]) {
+      return picked;
+    }
+
+    const fromGstin = gstinInput ? gstinInput.value.trim().slice(0, 2) : '';
+    if (stateNames[fromGstin]) {
+      return fromGstin;
+    }
+
+    return companyStateCode;
+  }
+
+  // Mirrors validateGstin in server.js.
+  function computeGstinCheckDigit(first14) {
+    let sum = 0;
+    for (let idx = 0; idx < 14; idx += 1) {
+      const product = gstinCharset.indexOf(first14[idx]) * (idx % 2 === 0 ? 1 : 2);
+      sum += Math.floor(product / 36) + (product % 36);
+    }
+    return gstinCharset[(36 - (sum % 36)) % 36];
+  }
+
+  function validateGstin(value) {
+    const gstin = String(value || '').replace(/\s+/g, '').toUpperCase();
+    if (!gstin) {
+      return { gstin, error: '' };
+    }
+    if (gstin.length !== 15 || !gstinPattern.test(gstin)) {
+      return { gstin, error: 'GSTIN must be 15 characters: 2-digit state code, 10-character PAN, entity code, Z and check digit.' };
+    }
+
+    const stateCode = gstin.slice(0, 2);
+    if (!stateNames[stateCode]) {
+      return { gstin, error: `GSTIN state code ${stateCode} is not a valid GST state code.` };
+    }
+    if (computeGstinCheckDigit(gstin.slice(0, 14)) !== gstin[14]) {
+      return { gstin, error: 'GSTIN check digit does not match. Please re-check the number.' };
+    }
+
+    return {
+      gstin,
+      error: '',
+      stateCode,
+      stateName: stateNames[stateCode],
+      pan: gstin.slice(2, 12)
+    };
+  }
+
+  function updateGstinHint() {
+    if (!gstinInput) {
+      return;
+    }
+
+    const result = validateGstin(gstinInput.value);
+    gstinInput.setCustomValidity(result.error);
+    gstinInput.classList.toggle('has-error', Boolean(result.error));
+
+    // The live hint carries the same message, so drop the server-rendered copy.
+    if (gstinServerError) {
+      gstinServerError.hidden = true;
+    }
+    if (gstinHint) {
+      gstinHint.classList.toggle('is-invalid', Boolean(result.error));
+      if (result.error) {
+        gstinHint.textContent = result.error;
+      } else if (result.stateName) {
+        gstinHint.textContent = `${result.stateName} (${result.stateCode}) - PAN ${result.pan}`;
+      } else {
+        gstinHint.textContent = '';
+      }
+    }
+  }
+
+  function isInterState() {
+    const placeOfSupply = getPlaceOfSupply();
+    return Boolean(placeOfSupply && companyStateCode && placeOfSupply !== companyStateCode);
+  }
 
   function readProposalValue(tr, className, fallbackColIndex, inputNamePrefix) {
     const byClass = tr.querySelector(`.${className}`);
@@ -74,21 +208,16 @@
     dateInput.value = today;
   }
 
-  function getDefaultProposalItems() {
-    return [
-      { sr_no: '1', description: 'Solar PV Modules - (Module Size having +-05 Wp variation)', unit: 'Nos', qty: '5', specification: '620', make: 'ADANI' },
-      { sr_no: '2', description: 'Module mounting structure', unit: 'Set', qty: 'As per design', specification: 'As per design', make: 'Hot Dip Galv. Iron 60x40 & 40x40' },
-      { sr_no: '3', description: 'String type Grid Tied Inverter as per availability', unit: 'Nos', qty: '1', specification: 'As per design', make: 'SOLARYAAN / XWATT' },
-      { sr_no: '4', description: 'DCDB with accessories', unit: 'Nos', qty: 'As per design', specification: 'As per design', make: 'L&T/HAVELLS' },
-      { sr_no: '5', description: 'ACDB with accessories', unit: 'Nos', qty: 'At actual', specification: 'As per design', make: 'L&T/HAVELLS' },
-      { sr_no: '6', description: 'DC Wire with UV protected - TUV Certified', unit: 'Mtr.', qty: 'At actual', specification: 'As per design', make: 'POLYCAB' },
-      { sr_no: '7', description: 'AC Wire - TUV Certified', unit: 'Mtr.', qty: 'At actual', specification: 'As per design', make: 'POLYCAB' },
-      { sr_no: '8', description: 'Advanced Chemical Earthing systems', unit: 'Nos', qty: 'As per design', specification: 'As per design', make: 'Standard' },
-      { sr_no: '9', description: 'Lightening arrester', unit: 'Nos', qty: 'As per design', specification: 'As per design', make: 'Standard' }
-    ];
+  function findProposalTemplate(templateId) {
+    return proposalTemplates.find((template) => String(template.id) === String(templateId)) || null;
+  }
+
+  function getSelectedTemplateRows() {
+    const template = proposalTemplateSelect ? findProposalTemplate(proposalTemplateSelect.value) : proposalTemplates[0];
+    return template ? template.rows : [];
   }
 
-  function createSelect() {
+  function createSelect(currentProductId) {
     const select = document.createElement('select');
     const customOption = document.createElement('option');
     customOption.value = '';
@@ -96,9 +225,14 @@
     select.appendChild(customOption);
 
     products.forEach((product) => {
+      // Archived products are only sent for lines that already use them.
+      if (product.archived && Number(product.id) !== Number(currentProductId)) {
+        return;
+      }
       const option = document.createElement('option');
       option.value = String(product.id);
-      option.textContent = product.name;
+      option.textContent = product.archived ? `${product.name} (archived)` : product.name;
+      option.dataset.name = product.name;
       option.dataset.price = product.price;
       option.dataset.gst = product.gst_rate;
       option.dataset.hsn = product.hsn || '';
@@ -107,50 +241,330 @@
       select.appendChild(option);
     });
 
+    if (kits.length) {
+      const kitGroup = document.createElement('optgroup');
+      kitGroup.label = 'Kits';
+      kits.forEach((kit) => {
+        const option = document.createElement('option');
+        option.value = `kit:${kit.id}`;
+        option.textContent = kit.name;
+        kitGroup.appendChild(option);
+      });
+      select.appendChild(kitGroup);
+    }
+
     return select;
   }
 
-  function format2(value) {
-    return Number(value || 0).toFixed(2);
+  let kitGroupCounter = 0;
+
+  // Replaces the row the kit was picked in with one line per component.
+  function expandKit(row, kitId) {
+    const kit = kits.find((entry) => String(entry.id) === String(kitId));
+    if (!kit) {
+      return;
+    }
+
+    kitGroupCounter += 1;
+    const kitGroup = `${Date.now().toString(36)}-${kitGroupCounter}`;
+    kit.items.forEach((component) => {
+      const product = products.find((entry) => Number(entry.id) === Number(component.product_id));
+      if (!product) {
+        return;
+      }
+      addRow({
+        product_id: product.id,
+        name: product.name,
+        hsn: product.hsn,
+        unit: product.unit,
+        qty: component.qty,
+        unit_price: product.price,
+        gst_rate: product.gst_rate,
+        kit_group: kitGroup,
+        kit_name: kit.name,
+        kit_bundle: kit.show_as_bundle
+      }, row);
+    });
+    row.remove();
+    updateTotals();
+  }
+
+  function setRowKit(row, kit) {
+    const existingTag = row.querySelector('.kit-tag');
+    if (existingTag) {
+      existingTag.remove();
+    }
+    if (!kit || !kit.kit_name) {
+      delete row.dataset.kitGroup;
+      delete row.dataset.kitName;
+      delete row.dataset.kitBundle;
+      return;
+    }
+
+    row.dataset.kitGroup = kit.kit_group || '';
+    row.dataset.kitName = kit.kit_name;
+    row.dataset.kitBundle = kit.kit_bundle ? '1' : '';
+    const tag = document.createElement('small');
+    tag.className = 'kit-tag';
+    tag.textContent = `Kit: ${kit.kit_name}`;
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.textContent = '×';
+    clear.title = 'Treat as a separate line';
+    clear.addEventListener('click', () => setRowKit(row, null));
+    tag.appendChild(clear);
+    row.querySelector('.name').insertAdjacentElement('afterend', tag);
+  }
+
+  // Mirrors formatIndianNumber / formatCurrency in server.js: 2,35,400.00 and \u20b92,35,400.00.
+  function formatIndianNumber(value) {
+    const fixed = Number(value || 0).toFixed(2);
+    const negative = fixed.startsWith('-') && Number(fixed) !== 0;
+    const [whole, fraction] = fixed.replace('-', '').split('.');
+    const lastThree = whole.slice(-3);
+    const rest = whole.slice(0, -3);
+    const grouped = rest ? `${rest.replace(/\B(?=(\d{2})+$)/g, ',')},${lastThree}` : lastThree;
+    return `${negative ? '-' : ''}${grouped}.${fraction}`;
+  }
+
+  function formatCurrency(value) {
+    const formatted = formatIndianNumber(value);
+    return formatted.startsWith('-') ? `-\u20b9${formatted.slice(1)}` : `\u20b9${formatted}`;
+  }
+
+  function round2(value) {
+    return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+  }
+
+  // Mirrors computeDiscountAmount in server.js.
+  function computeDiscountAmount(base, type, value) {
+    const amount = Math.max(Number(value || 0), 0);
+    if (type === 'percent') {
+      return round2((base * Math.min(amount, 100)) / 100);
+    }
+    if (type === 'flat') {
+      return round2(Math.min(amount, Math.max(base, 0)));
+    }
+    return 0;
   }
 
-  function calculateRow(row) {
-    const qty = Number(row.querySelector('.qty').value || 0);
-    const rate = Number(row.querySelector('.rate').value || 0);
+  function readRowAmounts(row) {
+    const gross = round2(Number(row.querySelector('.qty').value || 0) * Number(row.querySelector('.rate').value || 0));
+    const discount = computeDiscountAmount(gross, row.querySelector('.disc-type').value, row.querySelector('.disc').value);
+    return { gross, discount, net: round2(gross - discount) };
+  }
+
+  // quoteShare is the row's part of the quote discount, worked out in updateTotals.
+  function calculateRow(row, quoteShare = 0) {
     const gst = Number(row.querySelector('.gst').value || 0);
+    const amounts = readRowAmounts(row);
+    const taxable = round2(amounts.net - Math.min(quoteShare, amounts.net));
+    let cgst = 0;
+    let sgst = 0;
+    let igst = 0;
+
+    if (isInterState()) {
+      igst = (taxable * gst) / 100;
+    } else {
+      const half = gst / 2;
+      cgst = (taxable * half) / 100;
+      sgst = (taxable * half) / 100;
+    }
+
+    const result = {
+      taxable,
+      cgst: round2(cgst),
+      sgst: round2(sgst),
+      igst: round2(igst),
+      total: round2(taxable + cgst + sgst + igst)
+    };
+
+    row.querySelector('.mrp').textContent = formatIndianNumber(amounts.gross);
+    row.querySelector('.taxable').textContent = formatIndianNumber(result.taxable);
+    row.querySelector('.cgst').textContent = formatIndianNumber(result.cgst);
+    row.querySelector('.sgst').textContent = formatIndianNumber(result.sgst);
+    row.querySelector('.igst').textContent = formatIndianNumber(result.igst);
+    row.querySelector('.total').textContent = formatIndianNumber(result.total);
+    return result;
+  }
+
+  // Mirrors amountInWords in server.js (lakh / crore grouping).
+  const numberWordsOnes = [
+    '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+  ];
+  const numberWordsTens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+  function twoDigitsToWords(value) {
+    if (value < 20) {
+      return numberWordsOnes[value];
+    }
+    const ones = value % 10;
+    return ones ? `${numberWordsTens[Math.floor(value / 10)]}-${numberWordsOnes[ones]}` : numberWordsTens[value / 10];
+  }
+
+  function integerToIndianWords(value) {
+    if (value === 0) {
+      return 'Zero';
+    }
+
+    const parts = [];
+    const crore = Math.floor(value / 10000000);
+    const lakh = Math.floor((value % 10000000) / 100000);
+    const thousand = Math.floor((value % 100000) / 1000);
+    const hundred = Math.floor((value % 1000) / 100);
+    const rest = value % 100;
+
+    if (crore) parts.push(`${integerToIndianWords(crore)} Crore`);
+    if (lakh) parts.push(`${twoDigitsToWords(lakh)} Lakh`);
+    if (thousand) parts.push(`${twoDigitsToWords(thousand)} Thousand`);
+    if (hundred) parts.push(`${numberWordsOnes[hundred]} Hundred`);
+    if (rest) parts.push(twoDigitsToWords(rest));
+
+    return parts.join(' ');
+  }
+
+  function amountInWords(value) {
+    const totalPaise = Math.round(Math.abs(Number(value || 0)) * 100);
+    const rupees = Math.floor(totalPaise / 100);
+    const paise = totalPaise % 100;
+
+    let words = `Rupees ${integerToIndianWords(rupees)}`;
+    if (paise) {
+      words += ` and ${twoDigitsToWords(paise)} Paise`;
+    }
+    return `${words} Only`;
+  }
+
+  // Mirrors computeSlabSubsidy / computeSubsidy in server.js.
+  function computeSlabSubsidy(slabs, capacityKw, maxAmount) {
+    let amount = 0;
+    let coveredKw = 0;
+    (Array.isArray(slabs) ? slabs : []).forEach((slab) => {
+      const uptoKw = Number(slab.uptoKw || 0);
+      amount += Math.max(Math.min(capacityKw, uptoKw) - coveredKw, 0) * Number(slab.perKw || 0);
+      coveredKw = Math.max(coveredKw, uptoKw);
+    });
+    const cap = Number(maxAmount || 0);
+    return cap > 0 ? Math.min(amount, cap) : amount;
+  }
 
-    const taxable = qty * rate;
-    const half = gst / 2;
-    const cgst = (taxable * half) / 100;
-    const sgst = (taxable * half) / 100;
-    const total = taxable + cgst + sgst;
+  function computeSubsidy() {
+    const capacity = sizingKwpInput ? Number(sizingKwpInput.value || 0) : 0;
+    const category = subsidyCategorySelect ? subsidyCategorySelect.value : '';
+    const categories = Array.isArray(subsidyOptions.categories) ? subsidyOptions.categories : [];
+    const categoryConfig = categories.find((entry) => entry.key === category);
+    if (!categoryConfig || !(capacity > 0)) {
+      return { category, capacity, central: 0, state: 0, total: 0 };
+    }
 
-    row.querySelector('.taxable').textContent = format2(taxable);
-    row.querySelector('.cgst').textContent = format2(cgst);
-    row.querySelector('.sgst').textContent = format2(sgst);
-    row.querySelector('.total').textContent = format2(total);
+    const stateCode = getPlaceOfSupply();
+    const central = computeSlabSubsidy(categoryConfig.slabs, capacity, categoryConfig.maxAmount);
+    const state = (Array.isArray(subsidyOptions.stateTopUps) ? subsidyOptions.stateTopUps : [])
+      .filter((topUp) => topUp.stateCode === stateCode
+        && (!Array.isArray(topUp.categories) || topUp.categories.includes(category)))
+      .reduce((sum, topUp) => sum + computeSlabSubsidy(topUp.slabs, capacity, topUp.maxAmount), 0);
+    return { category, capacity, central, state, total: central + state };
+  }
+
+  function updateSubsidy(grand) {
+    const subsidy = computeSubsidy();
+    const hasSubsidy = subsidy.total > 0;
+    const grandTotalLabel = hasSubsidy ? 'Gross Total' : 'Grand Total';
+    document.getElementById('grand-total-label').textContent = grandTotalLabel;
+    document.getElementById('grand-total-words-label').textContent = grandTotalLabel;
+    document.getElementById('subsidy-summary').hidden = !hasSubsidy;
+    document.getElementById('net-cost-summary').hidden = !hasSubsidy;
+    document.getElementById('subsidy-total').textContent = formatCurrency(-subsidy.total);
+    document.getElementById('net-cost').textContent = formatCurrency(Math.max(grand - subsidy.total, 0));
+
+    if (!subsidyHint) {
+      return;
+    }
+    if (subsidy.category && !(subsidy.capacity > 0)) {
+      subsidyHint.textContent = 'Enter the system size in kWp to estimate the subsidy.';
+    } else if (hasSubsidy) {
+      subsidyHint.textContent = subsidy.state
+        ? `Central ${formatCurrency(subsidy.central)} + state ${formatCurrency(subsidy.state)} for ${subsidy.capacity} kWp`
+        : `Central ${formatCurrency(subsidy.central)} for ${subsidy.capacity} kWp`;
+    } else {
+      subsidyHint.textContent = subsidyOptions.scheme || '';
+    }
+  }
+
+  // Spreads the quote discount like buildQuoteSummary in server.js, then re-prices every row.
+  function applyQuoteDiscount() {
+    const rows = Array.from(tableBody.querySelectorAll('tr'));
+    const amounts = rows.map(readRowAmounts);
+    const netAmounts = amounts.map((entry) => entry.net);
+    const netTotal = round2(netAmounts.reduce((sum, amount) => sum + amount, 0));
+    const quoteDiscount = quoteDiscountInput && quoteDiscountTypeSelect
+      ? computeDiscountAmount(netTotal, quoteDiscountTypeSelect.value, quoteDiscountInput.value)
+      : 0;
+    const shares = netAmounts.map((amount) => (netTotal > 0 ? round2((quoteDiscount * amount) / netTotal) : 0));
+    const remainder = round2(quoteDiscount - shares.reduce((sum, share) => sum + share, 0));
+    if (remainder && shares.length) {
+      const largest = netAmounts.indexOf(Math.max(...netAmounts));
+      shares[largest] = round2(shares[largest] + remainder);
+    }
+    const rowTotals = rows.map((row, idx) => calculateRow(row, shares[idx]));
+
+    return {
+      rowTotals,
+      gross: amounts.reduce((sum, entry) => sum + entry.gross, 0),
+      lineDiscounts: amounts.reduce((sum, entry) => sum + entry.discount, 0),
+      quoteDiscount
+    };
   }
 
   function updateTotals() {
     let subtotal = 0;
     let cgstTotal = 0;
     let sgstTotal = 0;
+    let igstTotal = 0;
     let grand = 0;
+    const discounts = applyQuoteDiscount();
 
-    tableBody.querySelectorAll('tr').forEach((row) => {
-      subtotal += Number(row.querySelector('.taxable').textContent || 0);
-      cgstTotal += Number(row.querySelector('.cgst').textContent || 0);
-      sgstTotal += Number(row.querySelector('.sgst').textContent || 0);
-      grand += Number(row.querySelector('.total').textContent || 0);
+    discounts.rowTotals.forEach((row) => {
+      subtotal += row.taxable;
+      cgstTotal += row.cgst;
+      sgstTotal += row.sgst;
+      igstTotal += row.igst;
+      grand += row.total;
     });
+    grand = round2(grand);
 
-    document.getElementById('subtotal').textContent = format2(subtotal);
-    document.getElementById('cgst-total').textContent = format2(cgstTotal);
-    document.getElementById('sgst-total').textContent = format2(sgstTotal);
-    document.getElementById('grand-total').textContent = format2(grand);
+    const hasDiscount = discounts.lineDiscounts > 0 || discounts.quoteDiscount > 0;
+    document.getElementById('gross-summary').hidden = !hasDiscount;
+    document.getElementById('line-discount-summary').hidden = !(discounts.lineDiscounts > 0);
+    document.getElementById('quote-discount-summary').hidden = !(discounts.quoteDiscount > 0);
+    document.getElementById('gross-total').textContent = formatCurrency(discounts.gross);
+    document.getElementById('line-discount-total').textContent = formatCurrency(-discounts.lineDiscounts);
+    document.getElementById('quote-discount-amount').textContent = formatCurrency(-discounts.quoteDiscount);
+    document.getElementById('subtotal').textContent = formatCurrency(subtotal);
+    document.getElementById('cgst-total').textContent = formatCurrency(cgstTotal);
+    document.getElementById('sgst-total').textContent = formatCurrency(sgstTotal);
+    document.getElementById('igst-total').textContent = formatCurrency(igstTotal);
+    document.getElementById('grand-total').textContent = formatCurrency(grand);
+    document.getElementById('grand-total-words').textContent = amountInWords(grand);
+    updateSubsidy(grand);
   }
 
-  function addRow(initial = {}) {
+  function updateTaxMode() {
+    const placeOfSupply = getPlaceOfSupply();
+    const interState = isInterState();
+    form.classList.toggle('is-inter-state', interState);
+
+    if (placeOfSupplyHint) {
+      placeOfSupplyHint.textContent = stateNames[placeOfSupply]
+        ? `${stateNames[placeOfSupply]} (${placeOfSupply}) - ${interState ? 'IGST' : 'CGST + SGST'}`
+        : '';
+    }
+
+    updateTotals();
+  }
+
+  function addRow(initial = {}, beforeRow = null) {
     const row = document.createElement('tr');
     row.innerHTML = `
       <td class="cell-select"></td>
@@ -159,36 +573,46 @@
       <td><input class="unit" type="text" placeholder="Unit" /></td>
       <td><input class="qty" type="number" step="0.01" value="1" /></td>
       <td><input class="rate" type="number" step="0.01" value="0" /></td>
+      <td class="mrp">0.00</td>
+      <td class="cell-discount">
+        <input class="disc" type="number" step="0.01" min="0" value="0" />
+        <select class="disc-type">
+          <option value="percent">%</option>
+          <option value="flat">Rs</option>
+        </select>
+      </td>
       <td><input class="gst" type="number" step="0.01" value="0" /></td>
       <td class="taxable">0.00</td>
-      <td class="cgst">0.00</td>
-      <td class="sgst">0.00</td>
+      <td class="cgst tax-intra">0.00</td>
+      <td class="sgst tax-intra">0.00</td>
+      <td class="igst tax-inter">0.00</td>
       <td class="total">0.00</td>
       <td><button type="button" class="remove btn-danger">Remove</button></td>
     `;
 
-    const select = createSelect();
+    const select = createSelect(initial.product_id);
     row.querySelector('.cell-select').appendChild(select);
 
     select.addEventListener('change', () => {
       const option = select.selectedOptions[0];
+      if (option && option.value.startsWith('kit:')) {
+        expandKit(row, option.value.slice(4));
+        return;
+      }
       if (option && option.value) {
-        row.querySelector('.name').value = option.textContent;
+        row.querySelector('.name').value = option.dataset.name || option.textContent;
         row.querySelector('.hsn').value = option.dataset.hsn || '';
         row.querySelector('.unit').value = option.dataset.unit || '';
         row.querySelector('.rate').value = option.dataset.price || 0;
         row.querySelector('.gst').value = option.dataset.gst || 0;
       }
-      calculateRow(row);
       updateTotals();
     });
 
     row.querySelectorAll('input').forEach((input) => {
-      input.addEventListener('input', () => {
-        calculateRow(row);
-        updateTotals();
-      });
+      input.addEventListener('input', updateTotals);
     });
+    row.querySelector('.disc-type').addEventListener('change', updateTotals);
 
     row.querySelector('.remove').addEventListener('click', () => {
       row.remove();
@@ -199,7 +623,7 @@
       select.value = String(initial.product_id);
       const option = select.selectedOptions[0];
       if (option) {
-        row.querySelector('.name').value = initial.name || option.textContent;
+        row.querySelector('.name').value = initial.name || option.dataset.name || option.textContent;
         row.querySelector('.hsn').value = initial.hsn || option.dataset.hsn || '';
         row.querySelector('.unit').value = initial.unit || option.dataset.unit || '';
         row.querySelector('.rate').value = initial.unit_price || option.dataset.price || 0;
@@ -214,11 +638,25 @@
     }
 
     row.querySelector('.qty').value = initial.qty || 1;
+    row.querySelector('.disc').value = initial.discount_value || 0;
+    row.querySelector('.disc-type').value = initial.discount_type === 'flat' ? 'flat' : 'percent';
+    setRowKit(row, initial);
+    if (initial.sizing) {
+      row.dataset.sizing = initial.sizing;
+    }
 
-    calculateRow(row);
-    updateTotals();
+    if (initial.current_price !== undefined) {
+      row.classList.add('is-stale');
+      row.title = `Product master now: ${Number(initial.current_price).toFixed(2)} @ ${initial.current_gst_rate}% GST`;
+    }
 
-    tableBody.appendChild(row);
+    if (beforeRow) {
+      tableBody.insertBefore(row, beforeRow);
+    } else {
+      tableBody.appendChild(row);
+    }
+
+    updateTotals();
   }
 
   function collectProposalItems() {
@@ -282,10 +720,404 @@
     renumberProposalInputNames();
   }
 
+  function proposalRowsMatch(rows, otherRows) {
+    const keys = ['sr_no', 'description', 'unit', 'qty', 'specification', 'make'];
+    const flatten = (list) => JSON.stringify(list.map((row) => keys.map((key) => String(row[key] || '').trim())));
+    return flatten(rows) === flatten(otherRows);
+  }
+
+  // Swapping templates replaces the rows; edits made since the last pick are
+  // only thrown away after a confirm.
+  function setupProposalTemplatePicker() {
+    if (!proposalTemplateSelect || !proposalBody) {
+      return;
+    }
+
+    let previousTemplateId = proposalTemplateSelect.value;
+    proposalTemplateSelect.addEventListener('change', () => {
+      const template = findProposalTemplate(proposalTemplateSelect.value);
+      if (!template) {
+        previousTemplateId = proposalTemplateSelect.value;
+        return;
+      }
+
+      const currentRows = collectProposalItems();
+      const previousTemplate = findProposalTemplate(previousTemplateId);
+      const untouched = !currentRows.length || (previousTemplate && proposalRowsMatch(currentRows, previousTemplate.rows));
+      if (!untouched && !window.confirm(`Replace the proposal rows with the "${template.name}" template? Changes made to the current rows will be lost.`)) {
+        proposalTemplateSelect.value = previousTemplateId;
+        return;
+      }
+
+      proposalBody.innerHTML = '';
+      template.rows.forEach((row) => addProposalRow(row));
+      previousTemplateId = proposalTemplateSelect.value;
+    });
+  }
+
+  function calculateSizing() {
+    const kwp = Number(sizingKwpInput.value || 0);
+    const wattage = Number(sizingWattageSelect.value || 0);
+    if (!(kwp > 0) || !(wattage > 0)) {
+      return null;
+    }
+
+    // Round up to whole modules, so the DC side is never below the asked capacity.
+    const moduleCount = Math.ceil((kwp * 1000) / wattage - 1e-9);
+    const dcKwp = (moduleCount * wattage) / 1000;
+    const maxDcAcRatio = Number(sizingConfig.maxDcAcRatio) || 1;
+    const ratings = Array.isArray(sizingConfig.inverterRatingsKw) ? sizingConfig.inverterRatingsKw : [];
+    const pickedInverter = Number(sizingInverterSelect.value || 0);
+    const autoInverter = ratings.find((rating) => rating * maxDcAcRatio >= dcKwp)
+      || Math.ceil((dcKwp / maxDcAcRatio) * 10) / 10;
+    const inverterKw = pickedInverter || autoInverter;
+
+    return {
+      wattage,
+      moduleCount,
+      dcKwp,
+      inverterKw,
+      inverterOverloaded: inverterKw * maxDcAcRatio < dcKwp,
+      roofArea: Math.ceil(dcKwp * (Number(sizingConfig.roofAreaPerKwp) || 0)),
+      dcCable: Math.ceil(dcKwp * (Number(sizingConfig.dcCableMetresPerKwp) || 0)),
+      acCable: Math.ceil(Number(sizingConfig.acCableMetres) || 0)
+    };
+  }
+
+  function setSizingHint(message, isInvalid = false) {
+    if (sizingHint) {
+      sizingHint.textContent = message;
+      sizingHint.classList.toggle('is-invalid', isInvalid);
+    }
+  }
+
+  function renderSizing() {
+    const sizing = calculateSizing();
+    sizingResults.hidden = !sizing;
+    if (!sizing) {
+      setSizingHint('');
+      return;
+    }
+
+    const dcKwpText = sizing.dcKwp.toFixed(2).replace(/\.?0+$/, '');
+    document.getElementById('sizing-modules').textContent = `${sizing.moduleCount} x ${sizing.wattage} Wp`;
+    document.getElementById('sizing-dc-kwp').textContent = `${dcKwpText} kWp`;
+    document.getElementById('sizing-roof-area').textContent = `${sizing.roofArea} sq m`;
+    document.getElementById('sizing-inverter-rating').textContent = `${sizing.inverterKw} kW`;
+    document.getElementById('sizing-dc-cable').textContent = sizing.dcCable ? `${sizing.dcCable} m` : '-';
+    document.getElementById('sizing-ac-cable').textContent = sizing.acCable ? `${sizing.acCable} m` : '-';
+    setSizingHint(
+      sizing.inverterOverloaded
+        ? `${dcKwpText} kWp of modules is more than a ${sizing.inverterKw} kW inverter should carry (DC/AC ratio ${sizingConfig.maxDcAcRatio}).`
+        : '',
+      sizing.inverterOverloaded
+    );
+  }
+
+  // Sizing lines are told apart by HSN, so saved quotes refill in place too.
+  function isSizingLine(role, hsn, name) {
+    const hsnPrefixes = sizingConfig.productHsn || {};
+    const startsWith = (prefix) => Boolean(prefix) && String(hsn || '').startsWith(prefix);
+    if (role === 'module') {
+      return startsWith(hsnPrefixes.module);
+    }
+    if (role === 'inverter') {
+      return startsWith(hsnPrefixes.inverter);
+    }
+    return startsWith(hsnPrefixes.cable) && (role === 'dc_cable' ? /\bDC\b/i : /\bAC\b/i).test(name || '');
+  }
+
+  function findSizingProduct(role, pattern) {
+    return products.find((product) => !product.archived
+      && isSizingLine(role, product.hsn, product.name)
+      && pattern.test(product.name)) || null;
+  }
+
+  function buildSizingLine(role, { pattern, name, unit, qty }) {
+    const product = findSizingProduct(role, pattern);
+    const hsnPrefixes = sizingConfig.productHsn || {};
+    if (product) {
+      return {
+        sizing: role,
+        product_id: product.id,
+        name: product.name,
+        hsn: product.hsn,
+        unit: product.unit || unit,
+        qty,
+        unit_price: product.price,
+        gst_rate: product.gst_rate
+      };
+    }
+    return {
+      sizing: role,
+      name,
+      hsn: hsnPrefixes[role === 'dc_cable' || role === 'ac_cable' ? 'cable' : role] || '',
+      unit,
+      qty
+    };
+  }
+
+  function applySizingToProposal(sizing) {
+    if (!proposalBody) {
+      return;
+    }
+
+    const updates = [
+      { pattern: /PV Module/i, qty: String(sizing.moduleCount), specification: `${sizing.wattage} Wp` },
+      { pattern: /Inverter/i, qty: '1', specification: `${sizing.inverterKw} kW` },
+      { pattern: /\bDC\b.*(Wire|Cable)/i, qty: sizing.dcCable ? String(sizing.dcCable) : '' },
+      { pattern: /\bAC\b.*(Wire|Cable)/i, qty: sizing.acCable ? String(sizing.acCable) : '' }
+    ];
+    proposalBody.querySelectorAll('tr').forEach((tr) => {
+      const description = readProposalValue(tr, 'proposal-description', 1, 'proposal_description');
+      const update = updates.find((entry) => entry.pattern.test(description));
+      if (!update) {
+        return;
+      }
+      const qtyInput = tr.querySelector('.proposal-qty');
+      const specificationInput = tr.querySelector('.proposal-specification');
+      if (qtyInput && update.qty) {
+        qtyInput.value = update.qty;
+      }
+      if (specificationInput && update.specification) {
+        specificationInput.value = update.specification;
+      }
+    });
+  }
+
+  function applySizing() {
+    const sizing = calculateSizing();
+    if (!sizing) {
+      setSizingHint('Enter the system size in kWp and pick a module wattage first.', true);
+      sizingKwpInput.focus();
+      return;
+    }
+
+    const lines = [
+      buildSizingLine('module', {
+        pattern: new RegExp(`\\b${sizing.wattage}\\s*W`, 'i'),
+        name: `Solar PV Module ${sizing.wattage} Wp`,
+        unit: 'Nos',
+        qty: sizing.moduleCount
+      }),
+      buildSizingLine('inverter', {
+        pattern: new RegExp(`\\b${String(sizing.inverterKw).replace('.', '\\.')}\\s*kW`, 'i'),
+        name: `Grid Tied Inverter ${sizing.inverterKw} kW`,
+        unit: 'Nos',
+        qty: 1
+      })
+    ];
+    if (sizing.dcCable) {
+      lines.push(buildSizingLine('dc_cable', { pattern: /./, name: 'DC Cable', unit: 'Mtr.', qty: sizing.dcCable }));
+    }
+    if (sizing.acCable) {
+      lines.push(buildSizingLine('ac_cable', { pattern: /./, name: 'AC Cable', unit: 'Mtr.', qty: sizing.acCable }));
+    }
+
+    // Blank rows go; a line for the same role is replaced where it stands.
+    const rows = Array.from(tableBody.querySelectorAll('tr'));
+    rows.filter((row) => !row.querySelector('.name').value.trim()).forEach((row) => row.remove());
+    let anchor = tableBody.querySelector('tr');
+    lines.forEach((line) => {
+      const existing = Array.from(tableBody.querySelectorAll('tr')).find((row) => row.dataset.sizing === line.sizing
+        || (!row.dataset.kitName && isSizingLine(line.sizing, row.querySelector('.hsn').value.trim(), row.querySelector('.name').value)));
+      if (existing) {
+        addRow(line, existing);
+        if (existing === anchor) {
+          anchor = existing.nextElementSibling;
+        }
+        existing.remove();
+      } else {
+        addRow(line, anchor);
+      }
+    });
+    updateTotals();
+
+    applySizingToProposal(sizing);
+    const unpriced = lines.filter((line) => !line.product_id).map((line) => line.name);
+    setSizingHint(unpriced.length
+      ? `No matching product for ${unpriced.join(', ')}; enter a rate for ${unpriced.length === 1 ? 'that line' : 'those lines'}.`
+      : '');
+  }
+
+  function setupSizing() {
+    if (!sizingKwpInput || !sizingWattageSelect || !sizingInverterSelect || !sizingResults || !sizingApplyBtn) {
+      return;
+    }
+
+    sizingKwpInput.addEventListener('input', () => {
+      renderSizing();
+      updateTotals();
+    });
+    if (subsidyCategorySelect) {
+      subsidyCategorySelect.addEventListener('change', updateTotals);
+    }
+    sizingWattageSelect.addEventListener('change', renderSizing);
+    sizingInverterSelect.addEventListener('change', renderSizing);
+    sizingApplyBtn.addEventListener('click', applySizing);
+    renderSizing();
+  }
+
+  function setupCustomerTypeahead() {
+    if (!customerNameInput || !customerSuggestions || !customerSearchUrl || !window.fetch) {
+      return;
+    }
+
+    const lookupInputs = [customerNameInput, customerPhoneInput, gstinInput].filter(Boolean);
+    let searchTimer = null;
+    let searchSequence = 0;
+    let activeIndex = -1;
+    let matches = [];
+
+    function hideSuggestions() {
+      customerSuggestions.hidden = true;
+      customerSuggestions.innerHTML = '';
+      activeIndex = -1;
+      matches = [];
+    }
+
+    function highlight(index) {
+      const options = customerSuggestions.querySelectorAll('.typeahead-option');
+      activeIndex = index;
+      options.forEach((option, optionIndex) => {
+        option.classList.toggle('is-active', optionIndex === index);
+      });
+    }
+
+    function pickCustomer(customer) {
+      customerIdInput.value = customer.id;
+      customerNameInput.value = customer.name || '';
+      if (customerPhoneInput) customerPhoneInput.value = customer.phone || '';
+      if (customerEmailInput) customerEmailInput.value = customer.email || '';
+      if (customerAddressInput) customerAddressInput.value = customer.address || '';
+      if (gstinInput) gstinInput.value = customer.gstin || '';
+      hideSuggestions();
+      updateGstinHint();
+      updateTaxMode();
+    }
+
+    function showSuggestions(customers) {
+      customerSuggestions.innerHTML = '';
+      matches = customers;
+      activeIndex = -1;
+
+      if (!customers.length) {
+        customerSuggestions.hidden = true;
+        return;
+      }
+
+      customers.forEach((customer) => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'typeahead-option';
+        const name = document.createElement('strong');
+        name.textContent = customer.name;
+        const meta = document.createElement('small');
+        meta.textContent = [customer.phone, customer.gstin].filter(Boolean).join(' · ');
+        option.appendChild(name);
+        option.appendChild(meta);
+        // mousedown fires before the input blurs and hides the list.
+        option.addEventListener('mousedown', (event) => {
+          event.preventDefault();
+          pickCustomer(customer);
+        });
+        customerSuggestions.appendChild(option);
+      });
+      customerSuggestions.hidden = false;
+    }
+
+    function searchCustomers(term) {
+      const sequence = ++searchSequence;
+      fetch(`${customerSearchUrl}?q=${encodeURIComponent(term)}`, {
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' }
+      })
+        .then((response) => (response.ok ? response.json() : []))
+        .then((customers) => {
+          if (sequence === searchSequence) {
+            showSuggestions(Array.isArray(customers) ? customers : []);
+          }
+        })
+        .catch(() => hideSuggestions());
+    }
+
+    lookupInputs.forEach((input) => {
+      input.addEventListener('input', () => {
+        // Typing a different name means this is no longer the picked customer.
+        if (input === customerNameInput) {
+          customerIdInput.value = '';
+        }
+        clearTimeout(searchTimer);
+        const term = input.value.trim();
+        if (term.length < 2) {
+          searchSequence += 1;
+          hideSuggestions();
+          return;
+        }
+        searchTimer = setTimeout(() => searchCustomers(term), 250);
+      });
+
+      input.addEventListener('keydown', (event) => {
+        if (customerSuggestions.hidden || !matches.length) {
+          return;
+        }
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+          event.preventDefault();
+          const step = event.key === 'ArrowDown' ? 1 : -1;
+          highlight((activeIndex + step + matches.length) % matches.length);
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+          event.preventDefault();
+          pickCustomer(matches[activeIndex]);
+        } else if (event.key === 'Escape') {
+          hideSuggestions();
+        }
+      });
+
+      input.addEventListener('blur', () => {
+        searchSequence += 1;
+        hideSuggestions();
+      });
+    });
+  }
+
   addBtn.addEventListener('click', () => addRow());
+  if (gstinInput) {
+    gstinInput.addEventListener('input', () => {
+      updateGstinHint();
+      updateTaxMode();
+    });
+    gstinInput.addEventListener('blur', () => {
+      gstinInput.value = validateGstin(gstinInput.value).gstin;
+    });
+  }
+  if (placeOfSupplySelect) {
+    placeOfSupplySelect.addEventListener('change', updateTaxMode);
+  }
+  if (quoteDiscountInput && quoteDiscountTypeSelect) {
+    quoteDiscountInput.addEventListener('input', updateTotals);
+    quoteDiscountTypeSelect.addEventListener('change', updateTotals);
+  }
   if (addProposalBtn) {
     addProposalBtn.addEventListener('click', () => addProposalRow());
   }
+  // Terms, scope, other charges and warranty rows post as named fields, so a
+  // new row is a blank copy of the last one under the next index.
+  form.querySelectorAll('.add-section-row').forEach((button) => {
+    button.addEventListener('click', () => {
+      const sectionBody = form.querySelector(`.quote-section-table[data-section="${button.dataset.section}"] tbody`);
+      const lastRow = sectionBody && sectionBody.querySelector('tr:last-child');
+      if (!lastRow) {
+        return;
+      }
+      const index = sectionBody.querySelectorAll('tr').length;
+      const row = lastRow.cloneNode(true);
+      row.querySelectorAll('input, textarea').forEach((input) => {
+        input.name = input.name.replace(/^(quote_sections\[[^\]]+\])\[\d+\]/, `$1[${index}]`);
+        input.value = '';
+      });
+      sectionBody.appendChild(row);
+    });
+  });
 
   form.addEventListener('submit', (event) => {
     renumberProposalInputNames();
@@ -306,7 +1138,12 @@
         unit: row.querySelector('.unit').value.trim() || null,
         qty: Number(row.querySelector('.qty').value || 0),
         unit_price: Number(row.querySelector('.rate').value || 0),
-        gst_rate: Number(row.querySelector('.gst').value || 0)
+        gst_rate: Number(row.querySelector('.gst').value || 0),
+        discount_type: Number(row.querySelector('.disc').value || 0) > 0 ? row.querySelector('.disc-type').value : null,
+        discount_value: Number(row.querySelector('.disc').value || 0),
+        kit_group: row.dataset.kitGroup || null,
+        kit_name: row.dataset.kitName || null,
+        kit_bundle: Boolean(row.dataset.kitBundle)
       });
     });
 
@@ -324,6 +1161,12 @@
     }
   });
 
+  updateGstinHint();
+  updateTaxMode();
+  setupCustomerTypeahead();
+  setupSizing();
+  setupProposalTemplatePicker();
+
   if (initialItems.length) {
     initialItems.forEach((item) => addRow(item));
   } else {
@@ -332,7 +1175,7 @@
 
   // Defensive fallback: if server-rendered rows are missing, inject defaults.
   if (proposalBody && proposalBody.querySelectorAll('tr').length === 0) {
-    const seedRows = initialProposalItems.length ? initialProposalItems : getDefaultProposalItems();
+    const seedRows = initialProposalItems.length ? initialProposalItems : getSelectedTemplateRows();
     seedRows.forEach((row) => addProposalRow(row));
   }
 
@@ -23,6 +23,7 @@ app.use((req, res, next) => {
   res.locals.basePath = normalizedBasePath;
   res.locals.assetVersion = '20260426-1';
   res.locals.authUser = null;
+  res.locals.csrfToken = '';
   res.setHeader('X-NewBharat-Build', '20260426-1');
 
   if (!normalizedBasePath) {
@@ -38,113 +39,150 @@ app.use((req, res, next) => {
 });
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
+const displayTimeZone = 'Asia/Kolkata';
+const pdfFontDir = path.join(__dirname, 'fonts');
+const pdfFonts = { regular: 'Body', bold: 'Body-Bold' };
+// ascender / descender are the fonts' vertical metrics per 1000 units; PDFKit does not expose them.
+const pdfScriptFonts = {
+  latin: { regular: 'DejaVuSansCondensed.ttf', bold: 'DejaVuSansCondensed-Bold.ttf', ascender: 928, descender: -236 },
+  gujarati: { regular: 'MuktaVaani-Regular.ttf', bold: 'MuktaVaani-Bold.ttf', ascender: 1130, descender: -532 },
+  devanagari: { regular: 'NotoSansDevanagari-Regular.ttf', bold: 'NotoSansDevanagari-Bold.ttf', ascender: 896, descender: -408 }
+};
+// The dandas (U+0964/U+0965) are shared by both scripts, so they follow the text around them.
+const pdfScriptPatterns = {
+  gujarati: /[\u0A80-\u0AFF]/,
+  devanagari: /[\u0900-\u0963\u0966-\u097F]/
+};
 
 const company = JSON.parse(
   fs.readFileSync(path.join(__dirname, 'config', 'company.json'), 'utf8')
 );
+const quoteLanguages = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'config', 'languages.json'), 'utf8')
+);
+const companyTranslations = company.translations && typeof company.translations === 'object' ? company.translations : {};
+// The English rows the "translations" tables were written for, kept for the
+// first-run import; company[key] is later replaced by the database copy.
+const companyTranslationSources = {
+  ...Object.fromEntries(
+    ['estimatedOtherCharges', 'customerScope', 'termsConditions', 'warranty']
+      .map((key) => [key, Array.isArray(company[key]) ? company[key] : []])
+  ),
+  estimatedOtherChargesFooter: [{ text: company.estimatedOtherChargesFooter }]
+};
 
-const fallbackProposalTemplate = [
-  {
-    sr_no: 1,
-    description: 'Solar PV Modules - (Module Size having +-05 Wp variation)',
-    unit: 'Nos',
-    specification: '620',
-    qty: '5',
-    make: 'ADANI'
-  },
-  {
-    sr_no: 2,
-    description: 'Module mounting structure',
-    unit: 'Set',
-    specification: 'As per design',
-    qty: 'As per design',
-    make: 'Hot Dip Galv. Iron 60x40 & 40x40'
-  },
-  {
-    sr_no: 3,
-    description: 'String type Grid Tied Inverter as per availability',
-    unit: 'Nos',
-    specification: 'As per design',
-    qty: '1',
-    make: 'SOLARYAAN / XWATT'
-  },
-  {
-    sr_no: 4,
-    description: 'DCDB with accessories',
-    unit: 'Nos',
-    specification: 'As per design',
-    qty: 'As per design',
-    make: 'L&T/HAVELLS'
-  },
-  {
-    sr_no: 5,
-    description: 'ACDB with accessories',
-    unit: 'Nos',
-    specification: 'As per design',
-    qty: 'At actual',
-    make: 'L&T/HAVELLS'
-  },
-  {
-    sr_no: 6,
-    description: 'DC Wire with UV protected - TUV Certified',
-    unit: 'Mtr.',
-    specification: 'As per design',
-    qty: 'At actual',
-    make: 'POLYCAB'
-  },
-  {
-    sr_no: 7,
-    description: 'AC Wire - TUV Certified',
-    unit: 'Mtr.',
-    specification: 'As per design',
-    qty: 'At actual',
-    make: 'POLYCAB'
-  },
-  {
-    sr_no: 8,
-    description: 'Advanced Chemical Earthing systems',
-    unit: 'Nos',
-    specification: 'As per design',
-    qty: 'As per design',
-    make: 'Standard'
-  },
-  {
-    sr_no: 9,
-    description: 'Lightening arrester',
-    unit: 'Nos',
-    specification: 'As per design',
-    qty: 'As per design',
-    make: 'Standard'
-  }
-];
-
-const proposalTemplate = Array.isArray(company.proposalTemplate) && company.proposalTemplate.length
-  ? company.proposalTemplate
-  : fallbackProposalTemplate;
-const bankAccounts = Array.isArray(company.bankAccounts) ? company.bankAccounts : [];
-const estimatedOtherCharges = Array.isArray(company.estimatedOtherCharges) ? company.estimatedOtherCharges : [];
-const customerScopeRows = Array.isArray(company.customerScope) ? company.customerScope : [];
-const termsConditions = Array.isArray(company.termsConditions) ? company.termsConditions : [];
-const warrantyRows = Array.isArray(company.warranty) ? company.warranty : [];
+// These start from company.json and are replaced by the database copy once it
+// is loaded (see applyCompanySettings), so read them at call time.
+// `proposalTemplate` is the first proposal template, used for new quotes.
+let proposalTemplates = [];
+// Gujarati / Hindi rows keyed by "section|language|source key" (see getSectionRowSourceKey).
+let settingTranslations = new Map();
+let proposalTemplate = Array.isArray(company.proposalTemplate) ? company.proposalTemplate : [];
+let bankAccounts = Array.isArray(company.bankAccounts) ? company.bankAccounts : [];
+let estimatedOtherCharges = Array.isArray(company.estimatedOtherCharges) ? company.estimatedOtherCharges : [];
+let customerScopeRows = Array.isArray(company.customerScope) ? company.customerScope : [];
+let termsConditions = Array.isArray(company.termsConditions) ? company.termsConditions : [];
+let warrantyRows = Array.isArray(company.warranty) ? company.warranty : [];
+const sizingDefaults = company.sizing && typeof company.sizing === 'object' ? company.sizing : {};
+const projectionDefaults = company.projection && typeof company.projection === 'object' ? company.projection : {};
+const subsidyConfig = company.subsidy && typeof company.subsidy === 'object' ? company.subsidy : {};
+const subsidyCategories = Array.isArray(subsidyConfig.categories) ? subsidyConfig.categories : [];
+const subsidyStateTopUps = Array.isArray(subsidyConfig.stateTopUps) ? subsidyConfig.stateTopUps : [];
+const gstStateCodes = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+// APP_LOGIN_USERNAME / APP_LOGIN_PASSWORD only seed the first admin account
+// while the users table is empty; after that users are managed in the app.
 const authConfig = {
   username: text(process.env.APP_LOGIN_USERNAME).trim(),
   password: text(process.env.APP_LOGIN_PASSWORD),
   secret: text(process.env.AUTH_SECRET),
   cookieName: 'nb_auth',
-  cookieMaxAgeSeconds: 60 * 60 * 12
+  // Idle timeout: each renewal pushes the expiry this far ahead again.
+  cookieMaxAgeSeconds: 60 * 60 * 12,
+  // Hard cap from sign-in, however active the session stays.
+  sessionMaxAgeSeconds: 60 * 60 * 24 * 7,
+  // Renew at most this often so every request doesn't write to the sessions table.
+  renewAfterSeconds: 60 * 10
 };
 
-if (!authConfig.username || !authConfig.password || !authConfig.secret) {
-  throw new Error('Missing required env vars: APP_LOGIN_USERNAME, APP_LOGIN_PASSWORD, AUTH_SECRET');
+// Failures are counted per username and per client IP over `windowSeconds`.
+// Past the free attempts each further failure doubles the lockout.
+const loginThrottleConfig = {
+  windowSeconds: 60 * 60 * 24,
+  usernameFreeAttempts: 5,
+  ipFreeAttempts: 20,
+  baseLockSeconds: 30,
+  maxLockSeconds: 60 * 60
+};
+
+if (!authConfig.secret) {
+  throw new Error('Missing required env var: AUTH_SECRET');
 }
 
+const userRoles = {
+  admin: 'Admin',
+  sales: 'Sales',
+  viewer: 'Viewer'
+};
+const minPasswordLength = 8;
+
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Behind cPanel/nginx the client IP (used for login throttling) arrives in X-Forwarded-For.
+if (process.env.APP_TRUST_PROXY === 'true') {
+  app.set('trust proxy', 1);
+}
+
 app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 app.use(express.json({ limit: '2mb' }));
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
+class ValidationError extends Error {
+  constructor(fieldErrors) {
+    super(Object.values(fieldErrors)[0] || 'Please correct the highlighted fields.');
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
 function asyncHandler(fn) {
   return (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
@@ -177,9 +215,9 @@ function signAuthData(data) {
     .digest('hex');
 }
 
-function createAuthToken(username) {
+function createAuthToken({ sessionId, userId, role }) {
   const expiresAt = Date.now() + (authConfig.cookieMaxAgeSeconds * 1000);
-  const data = `${username}|${expiresAt}`;
+  const data = `${sessionId}|${userId}|${role}|${expiresAt}`;
   const encoded = Buffer.from(data, 'utf8').toString('base64url');
   const signature = signAuthData(data);
   return `${encoded}.${signature}`;
@@ -212,17 +250,408 @@ function verifyAuthToken(token) {
     return null;
   }
 
-  const [username, expiresAtRaw] = data.split('|');
+  const [sessionId, userIdRaw, role, expiresAtRaw] = data.split('|');
+  const userId = Number(userIdRaw);
   const expiresAt = Number(expiresAtRaw);
-  if (!username || !Number.isFinite(expiresAt) || Date.now() > expiresAt) {
+  if (!/^[a-f0-9]{48}$/.test(sessionId || '')) {
+    return null;
+  }
+  if (!Number.isInteger(userId) || userId < 1 || !userRoles[role]) {
+    return null;
+  }
+  if (!Number.isFinite(expiresAt) || Date.now() > expiresAt) {
+    return null;
+  }
+
+  return { sessionId, userId, role, expiresAt };
+}
+
+async function createSession(user, req) {
+  const sessionId = crypto.randomBytes(24).toString('hex');
+  await pool.query(
+    `INSERT INTO user_sessions (id, user_id, created_at, last_seen_at, expires_at, ip_address, user_agent)
+     VALUES (?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND), ?, ?)`,
+    [
+      sessionId,
+      user.id,
+      authConfig.cookieMaxAgeSeconds,
+      text(req.ip).slice(0, 64) || null,
+      text(req.headers['user-agent']).slice(0, 255) || null
+    ]
+  );
+
+  return createAuthToken({ sessionId, userId: user.id, role: user.role });
+}
+
+async function revokeSession(sessionId) {
+  await pool.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+}
+
+async function revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+    [userId, exceptSessionId || '']
+  );
+}
+
+async function loadUserSessions(userId, currentSessionId) {
+  const [rows] = await pool.query(
+    `SELECT id, created_at, last_seen_at, ip_address, user_agent
+     FROM user_sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+     ORDER BY last_seen_at DESC`,
+    [userId, authConfig.sessionMaxAgeSeconds]
+  );
+
+  return rows.map((row) => ({
+    created_display: formatDateTime(row.created_at),
+    last_seen_display: formatDateTime(row.last_seen_at),
+    ip_address: row.ip_address || '-',
+    user_agent: row.user_agent || '-',
+    is_current: row.id === currentSessionId
+  }));
+}
+
+async function pruneAuthRecords() {
+  await pool.query(
+    'DELETE FROM user_sessions WHERE expires_at < DATE_SUB(NOW(), INTERVAL 30 DAY) OR revoked_at < DATE_SUB(NOW(), INTERVAL 30 DAY)'
+  );
+  await pool.query(
+    `DELETE FROM login_throttles
+     WHERE last_failure_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+       AND (locked_until IS NULL OR locked_until < NOW())`,
+    [loginThrottleConfig.windowSeconds]
+  );
+}
+
+// Only the username counter is reset by a successful login. The IP counter runs
+// out with its window, so signing in to one account between guesses does not
+// reset the limit on guessing other accounts from the same address.
+function getLoginThrottleKeys(username, ipAddress) {
+  return [
+    {
+      key: `user:${text(username).trim().toLowerCase()}`.slice(0, 190),
+      freeAttempts: loginThrottleConfig.usernameFreeAttempts,
+      clearOnSuccess: true
+    },
+    { key: `ip:${text(ipAddress)}`.slice(0, 190), freeAttempts: loginThrottleConfig.ipFreeAttempts, clearOnSuccess: false }
+  ];
+}
+
+async function getLoginLockSeconds(throttleKeys) {
+  const [rows] = await pool.query(
+    `SELECT TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS remaining
+     FROM login_throttles
+     WHERE throttle_key IN (?) AND locked_until > NOW()`,
+    [throttleKeys.map((item) => item.key)]
+  );
+
+  return rows.reduce((max, row) => Math.max(max, Number(row.remaining) || 0), 0);
+}
+
+async function recordLoginFailure(throttleKeys) {
+  for (const { key, freeAttempts } of throttleKeys) {
+    // failure_count is assigned first, so it still sees the previous last_failure_at.
+    await pool.query(
+      `INSERT INTO login_throttles (throttle_key, failure_count, last_failure_at)
+       VALUES (?, 1, NOW())
+       ON DUPLICATE KEY UPDATE
+         failure_count = IF(last_failure_at < DATE_SUB(NOW(), INTERVAL ? SECOND), 1, failure_count + 1),
+         last_failure_at = NOW()`,
+      [key, loginThrottleConfig.windowSeconds]
+    );
+
+    const [[row]] = await pool.query('SELECT failure_count FROM login_throttles WHERE throttle_key = ?', [key]);
+    const overLimit = Number(row.failure_count) - freeAttempts;
+    if (overLimit > 0) {
+      const lockSeconds = Math.min(
+        loginThrottleConfig.baseLockSeconds * (2 ** (overLimit - 1)),
+        loginThrottleConfig.maxLockSeconds
+      );
+      await pool.query(
+        'UPDATE login_throttles SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE throttle_key = ?',
+        [lockSeconds, key]
+      );
+    }
+  }
+}
+
+async function clearLoginFailures(throttleKeys) {
+  const keys = throttleKeys.filter((item) => item.clearOnSuccess).map((item) => item.key);
+  if (keys.length) {
+    await pool.query('DELETE FROM login_throttles WHERE throttle_key IN (?)', [keys]);
+  }
+}
+
+// Tokens carry the role they were issued with; a deactivated user, a role
+// change made by an admin or a revoked session invalidates them on the next
+// request. Active sessions also get a fresh token (`renewedToken`) once
+// `renewAfterSeconds` have passed since the last one was issued.
+async function resolveAuthUser(token) {
+  const payload = verifyAuthToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  const [[user]] = await pool.query(
+    `SELECT u.id, u.username, u.display_name, u.role, u.is_active
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND s.created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [payload.sessionId, payload.userId, authConfig.sessionMaxAgeSeconds]
+  );
+  if (!user || !user.is_active || user.role !== payload.role) {
+    return null;
+  }
+
+  let renewedToken = null;
+  const issuedAt = payload.expiresAt - (authConfig.cookieMaxAgeSeconds * 1000);
+  if (Date.now() - issuedAt > authConfig.renewAfterSeconds * 1000) {
+    await pool.query(
+      'UPDATE user_sessions SET last_seen_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+      [authConfig.cookieMaxAgeSeconds, payload.sessionId]
+    );
+    renewedToken = createAuthToken({ sessionId: payload.sessionId, userId: user.id, role: user.role });
+  }
+
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      displayName: user.display_name || user.username,
+      role: user.role,
+      sessionId: payload.sessionId
+    },
+    renewedToken
+  };
+}
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+      if (error) {
+        return reject(error);
+      }
+      return resolve(derivedKey);
+    });
+  });
+}
+
+// Stored as `scrypt$<salt hex>$<key hex>`.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scryptAsync(text(password), salt);
+  return `scrypt$${salt.toString('hex')}$${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, keyHex] = text(storedHash).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+
+  const expectedKey = Buffer.from(keyHex, 'hex');
+  const derivedKey = await scryptAsync(text(password), Buffer.from(saltHex, 'hex'));
+  return derivedKey.length === expectedKey.length && crypto.timingSafeEqual(derivedKey, expectedKey);
+}
+
+// Unknown usernames are checked against this hash so a failed login takes
+// the same time whether or not the account exists.
+const dummyPasswordHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+async function authenticateUser(username, password) {
+  const [[user]] = await pool.query(
+    'SELECT id, username, display_name, role, is_active, password_hash FROM users WHERE username = ?',
+    [username]
+  );
+
+  if (!user) {
+    await verifyPassword(password, await dummyPasswordHashPromise);
     return null;
   }
 
-  if (username !== authConfig.username) {
+  const passwordMatches = await verifyPassword(password, user.password_hash);
+  if (!passwordMatches || !user.is_active) {
     return null;
   }
 
-  return username;
+  return user;
+}
+
+// Everyone may read; viewers cannot change anything except their own
+// password, sales cannot touch products, users, numbering or the audit log.
+const adminOnlyPathPattern = /^\/(users|settings|audit)(\/|$)/;
+const productsPathPattern = /^\/(products|kits)(\/|$)/;
+const accountPathPattern = /^\/account(\/|$)/;
+
+function isRequestAllowedForRole(role, method, requestPath) {
+  if (role === 'admin') {
+    return true;
+  }
+  if (accountPathPattern.test(requestPath)) {
+    return true;
+  }
+  if (adminOnlyPathPattern.test(requestPath)) {
+    return false;
+  }
+
+  const isWrite = method !== 'GET' && method !== 'HEAD';
+  if (productsPathPattern.test(requestPath)) {
+    return !isWrite && !/\/(new|edit|archive|delete|import)$/.test(requestPath);
+  }
+  if (role === 'viewer') {
+    return !isWrite;
+  }
+  return true;
+}
+
+function getPasswordError(password) {
+  if (text(password).length < minPasswordLength) {
+    return `Password must be at least ${minPasswordLength} characters.`;
+  }
+  return '';
+}
+
+async function loadUsers() {
+  const [rows] = await pool.query(
+    'SELECT id, username, display_name, role, is_active, password_changed_at, created_at FROM users ORDER BY username'
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    role_label: userRoles[row.role] || row.role,
+    password_changed_display: formatDateTime(row.password_changed_at) || '-'
+  }));
+}
+
+async function createUser({ username, displayName, role, password, actingUser }) {
+  const cleanUsername = text(username).trim();
+  const fieldErrors = {};
+
+  if (!/^[A-Za-z0-9._-]{3,60}$/.test(cleanUsername)) {
+    fieldErrors.username = 'Username must be 3-60 letters, digits, dots, dashes or underscores.';
+  }
+  if (!userRoles[role]) {
+    fieldErrors.role = 'Choose a role.';
+  }
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    fieldErrors.password = passwordError;
+  }
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  try {
+    const [insertResult] = await pool.query(
+      'INSERT INTO users (username, display_name, password_hash, role, password_changed_at) VALUES (?, ?, ?, ?, NOW())',
+      [cleanUsername, text(displayName).trim() || null, await hashPassword(password), role]
+    );
+    await writeAuditLog(pool, {
+      entityType: 'user',
+      entityId: insertResult.insertId,
+      action: 'create',
+      user: actingUser,
+      fields: buildAuditFieldChanges(null, { username: cleanUsername, display_name: text(displayName).trim(), role })
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ValidationError({ username: `Username "${cleanUsername}" is already taken.` });
+    }
+    throw error;
+  }
+}
+
+// Admins cannot lock themselves out, and the last active admin stays an admin.
+async function updateUser({ userId, displayName, role, isActive, actingUser }) {
+  if (!userRoles[role]) {
+    throw new ValidationError({ role: 'Choose a role.' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [[user]] = await connection.query('SELECT id, display_name, role, is_active FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (!user) {
+      throw new Error('User not found.');
+    }
+
+    const losesAdmin = user.role === 'admin' && user.is_active && (role !== 'admin' || !isActive);
+    if (losesAdmin && actingUser && Number(actingUser.id) === Number(user.id)) {
+      throw new ValidationError({ role: 'You cannot remove your own admin access.' });
+    }
+    if (losesAdmin) {
+      const [[{ adminCount }]] = await connection.query(
+        "SELECT COUNT(*) AS adminCount FROM users WHERE role = 'admin' AND is_active = 1 AND id <> ? FOR UPDATE",
+        [user.id]
+      );
+      if (!Number(adminCount)) {
+        throw new ValidationError({ role: 'At least one active admin is required.' });
+      }
+    }
+
+    const updated = { display_name: text(displayName).trim() || null, role, is_active: isActive ? 1 : 0 };
+    await connection.query(
+      'UPDATE users SET display_name = ?, role = ?, is_active = ? WHERE id = ?',
+      [updated.display_name, updated.role, updated.is_active, user.id]
+    );
+    await writeAuditLog(connection, {
+      entityType: 'user',
+      entityId: user.id,
+      action: 'update',
+      user: actingUser,
+      fields: buildAuditFieldChanges(
+        { display_name: user.display_name, role: user.role, is_active: Number(user.is_active) },
+        updated
+      )
+    });
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Changing a password signs the account out everywhere except `keepSessionId`.
+async function setUserPassword(userId, password, { keepSessionId = null, actingUser = null } = {}) {
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    throw new ValidationError({ password: passwordError });
+  }
+
+  const [result] = await pool.query(
+    'UPDATE users SET password_hash = ?, password_changed_at = NOW() WHERE id = ?',
+    [await hashPassword(password), userId]
+  );
+  if (!result.affectedRows) {
+    throw new Error('User not found.');
+  }
+
+  await revokeUserSessions(userId, { exceptSessionId: keepSessionId });
+  await writeAuditLog(pool, { entityType: 'user', entityId: userId, action: 'password', user: actingUser });
+}
+
+async function changeOwnPassword({ user, currentPassword, newPassword, confirmPassword }) {
+  const [[row]] = await pool.query('SELECT password_hash FROM users WHERE id = ?', [user.id]);
+  if (!row || !(await verifyPassword(currentPassword, row.password_hash))) {
+    throw new ValidationError({ current_password: 'Current password is incorrect.' });
+  }
+  const passwordError = getPasswordError(newPassword);
+  if (passwordError) {
+    throw new ValidationError({ new_password: passwordError });
+  }
+  if (text(newPassword) !== text(confirmPassword)) {
+    throw new ValidationError({ confirm_password: 'New passwords do not match.' });
+  }
+
+  await setUserPassword(user.id, newPassword, { keepSessionId: user.sessionId, actingUser: user });
 }
 
 function serializeCookie(name, value, { path: cookiePath, maxAgeSeconds, secure = false }) {
@@ -246,7 +675,7 @@ function serializeCookie(name, value, { path: cookiePath, maxAgeSeconds, secure
 function setAuthCookie(res, token) {
   const cookiePath = normalizedBasePath || '/';
   const secureCookie = process.env.AUTH_COOKIE_SECURE === 'true';
-  res.setHeader('Set-Cookie', serializeCookie(authConfig.cookieName, token, {
+  res.append('Set-Cookie', serializeCookie(authConfig.cookieName, token, {
     path: cookiePath,
     maxAgeSeconds: authConfig.cookieMaxAgeSeconds,
     secure: secureCookie
@@ -256,16 +685,68 @@ function setAuthCookie(res, token) {
 function clearAuthCookie(res) {
   const cookiePath = normalizedBasePath || '/';
   const secureCookie = process.env.AUTH_COOKIE_SECURE === 'true';
-  res.setHeader('Set-Cookie', serializeCookie(authConfig.cookieName, '', {
+  res.append('Set-Cookie', serializeCookie(authConfig.cookieName, '', {
     path: cookiePath,
     maxAgeSeconds: 0,
     secure: secureCookie
   }));
 }
 
+// CSRF tokens are derived from the session id, so every signed-in session has
+// its own token without storing one. The login form has no session yet and
+// uses a random pre-session cookie instead.
+const csrfCookieName = 'nb_csrf';
+
+function createCsrfToken(scope, id) {
+  return signAuthData(`csrf|${scope}|${id}`);
+}
+
+function isValidCsrfToken(submittedToken, expectedToken) {
+  const submittedBuffer = Buffer.from(text(submittedToken));
+  const expectedBuffer = Buffer.from(text(expectedToken));
+  return expectedBuffer.length > 0
+    && submittedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(submittedBuffer, expectedBuffer);
+}
+
+function ensureLoginCsrfToken(req, res) {
+  const cookies = parseCookies(req.headers.cookie || '');
+  let preSessionId = cookies[csrfCookieName];
+  if (!/^[a-f0-9]{32}$/.test(preSessionId || '')) {
+    preSessionId = crypto.randomBytes(16).toString('hex');
+    res.append('Set-Cookie', serializeCookie(csrfCookieName, preSessionId, {
+      path: normalizedBasePath || '/',
+      maxAgeSeconds: authConfig.cookieMaxAgeSeconds,
+      secure: process.env.AUTH_COOKIE_SECURE === 'true'
+    }));
+  }
+  return createCsrfToken('login', preSessionId);
+}
+
+function getLoginCsrfToken(req) {
+  const cookies = parseCookies(req.headers.cookie || '');
+  const preSessionId = cookies[csrfCookieName];
+  return /^[a-f0-9]{32}$/.test(preSessionId || '') ? createCsrfToken('login', preSessionId) : '';
+}
+
+function renderErrorPage(res, status, { title, message }) {
+  return res.status(status).render('error', {
+    company,
+    title,
+    message
+  });
+}
+
+function renderCsrfError(res) {
+  return renderErrorPage(res, 403, {
+    title: 'Form Expired',
+    message: 'This form was opened in an earlier session or came from another site. Go back, reload the page and try again.'
+  });
+}
+
 function getSafeNextPath(nextValue) {
   const candidate = text(nextValue).trim();
-  if (!candidate || !candidate.startsWith('/') || candidate.startsWith('//') || candidate.startsWith('/login')) {
+  if (!candidate || !candidate.startsWith('/') || candidate.startsWith('//') || candidate.startsWith('/login') || candidate.startsWith('/logout')) {
     return '/';
   }
   return candidate;
@@ -299,6 +780,93 @@ function getSelectedBank(bankKey) {
   return configuredBanks.find((bank) => bank.key === requestedKey) || configuredBanks[0];
 }
 
+const gstinPattern = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const gstinCharset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// GSTN check digit: weights alternate 1/2 over the first 14 characters, each
+// product is folded back into base 36 and the sum is complemented mod 36.
+function computeGstinCheckDigit(first14) {
+  let sum = 0;
+  for (let idx = 0; idx < 14; idx += 1) {
+    const product = gstinCharset.indexOf(first14[idx]) * (idx % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return gstinCharset[(36 - (sum % 36)) % 36];
+}
+
+function validateGstin(value) {
+  const gstin = text(value).replace(/\s+/g, '').toUpperCase();
+  if (!gstin) {
+    return { gstin: '', error: '' };
+  }
+
+  if (gstin.length !== 15 || !gstinPattern.test(gstin)) {
+    return { gstin, error: 'GSTIN must be 15 characters: 2-digit state code, 10-character PAN, entity code, Z and check digit.' };
+  }
+
+  const stateCode = gstin.slice(0, 2);
+  const stateName = getStateName(stateCode);
+  if (!stateName) {
+    return { gstin, error: `GSTIN state code ${stateCode} is not a valid GST state code.` };
+  }
+
+  if (computeGstinCheckDigit(gstin.slice(0, 14)) !== gstin[14]) {
+    return { gstin, error: 'GSTIN check digit does not match. Please re-check the number.' };
+  }
+
+  return {
+    gstin,
+    error: '',
+    stateCode,
+    stateName,
+    pan: gstin.slice(2, 12)
+  };
+}
+
+function getStateName(stateCode) {
+  return gstStateCodes[text(stateCode).trim()] || '';
+}
+
+function getGstStateOptions() {
+  return Object.keys(gstStateCodes).map((code) => ({ code, name: gstStateCodes[code] }));
+}
+
+function getCompanyStateCode() {
+  const configured = text(company.stateCode).trim();
+  if (getStateName(configured)) {
+    return configured;
+  }
+
+  const fromGstin = text(company.gstin).trim().slice(0, 2);
+  return getStateName(fromGstin) ? fromGstin : '';
+}
+
+// Place of supply: an explicitly picked state wins, then the customer GSTIN
+// state code, then our own state (walk-in customers without a GSTIN).
+function resolvePlaceOfSupply({ placeOfSupply, customerGstin }) {
+  const picked = text(placeOfSupply).trim();
+  if (getStateName(picked)) {
+    return picked;
+  }
+
+  const fromGstin = text(customerGstin).trim().slice(0, 2);
+  if (getStateName(fromGstin)) {
+    return fromGstin;
+  }
+
+  return getCompanyStateCode();
+}
+
+function isInterStateSupply(placeOfSupply) {
+  const companyStateCode = getCompanyStateCode();
+  return Boolean(placeOfSupply && companyStateCode && placeOfSupply !== companyStateCode);
+}
+
+function formatPlaceOfSupply(placeOfSupply) {
+  const stateName = getStateName(placeOfSupply);
+  return stateName ? `${stateName} (${placeOfSupply})` : '-';
+}
+
 function round2(value) {
   return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
 }
@@ -310,11 +878,36 @@ function formatDate(dateValue) {
   return date.toISOString().slice(0, 10);
 }
 
+function formatDateTime(dateValue) {
+  if (!dateValue) return '';
+  const date = dateValue instanceof Date ? dateValue : new Date(dateValue);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-IN', {
+    timeZone: displayTimeZone,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
 function text(value) {
   if (value === null || value === undefined) return '';
   return String(value);
 }
 
+function parseJson(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
 function normalizeProposalCellValue(value) {
   const raw = text(value).trim();
   if (!raw.includes(',')) {
@@ -457,8 +1050,7 @@ function hasProposalContent(row) {
   );
 }
 
-function parseProposalItems(proposalItemsJson, formBody = null) {
-  const defaults = getDefaultProposalItems();
+function parseProposalItems(proposalItemsJson, formBody = null, defaults = getDefaultProposalItems()) {
 
   let parsed = [];
   try {
@@ -518,29 +1110,144 @@ function parseProposalItems(proposalItemsJson, formBody = null) {
   return [];
 }
 
-function calculateItem(item) {
-  const qty = Number(item.qty || 0);
-  const unitPrice = Number(item.unit_price || 0);
-  const gstRate = Number(item.gst_rate || 0);
-  const taxable = round2(qty * unitPrice);
-  const halfRate = gstRate / 2;
-  const cgst = round2((taxable * halfRate) / 100);
-  const sgst = round2((taxable * halfRate) / 100);
-  const total = round2(taxable + cgst + sgst);
+// Each quote keeps its own copy of these company tables (fields as on the
+// Company Settings page). A NULL column, as on quotes saved before the copy
+// existed, reads as the company defaults.
+const quoteSections = [
+  { key: 'estimatedOtherCharges', column: 'other_charges_json' },
+  { key: 'customerScope', column: 'customer_scope_json' },
+  { key: 'termsConditions', column: 'terms_json' },
+  { key: 'warranty', column: 'warranty_json' }
+];
 
-  return {
-    ...item,
-    qty,
-    unit_price: unitPrice,
-    gst_rate: gstRate,
-    taxable,
-    cgst,
-    sgst,
+function getDefaultQuoteSectionRows(key) {
+  const { fields } = companySettingSections[key];
+  return (company[key] || []).map((row) => Object.fromEntries(fields.map((field) => [field.key, text(row[field.key])])));
+}
+
+function parseQuoteSections(quote) {
+  return Object.fromEntries(quoteSections.map(({ key, column }) => {
+    const rows = quote[column] ? parseJson(quote[column], null) : null;
+    return [key, Array.isArray(rows) ? rows : getDefaultQuoteSectionRows(key)];
+  }));
+}
+
+function parseQuoteSectionsFromBody(body) {
+  const submitted = isObject(body.quote_sections) ? body.quote_sections : {};
+  return Object.fromEntries(quoteSections.map(({ key }) => [
+    key,
+    hasOwn(submitted, key)
+      ? parseSettingRows(companySettingSections[key].fields, { rows: submitted[key] })
+      : getDefaultQuoteSectionRows(key)
+  ]));
+}
+
+// The footer line is a profile field, translated like a one-row section.
+function getSettingTranslationFields(section) {
+  return section === 'estimatedOtherChargesFooter'
+    ? [{ key: 'text', label: 'Footer Line' }]
+    : companySettingSections[section].fields;
+}
+
+// Translations are keyed by the English text they were made from. Serial numbers
+// are left out, so a row keeps its translation when rows around it are added or
+// removed, while any edit to the English text leaves it untranslated.
+function getSectionRowSourceKey(section, row) {
+  const source = getSettingTranslationFields(section)
+    .filter((field) => field.key !== 'sr_no')
+    .map((field) => text(row[field.key]).replace(/\s+/g, ' ').trim());
+  return crypto.createHash('sha256').update(JSON.stringify(source)).digest('hex');
+}
+
+function findSettingTranslation(section, language, row) {
+  return settingTranslations.get(`${section}|${language}|${getSectionRowSourceKey(section, row)}`) || null;
+}
+
+// In a Gujarati or Hindi PDF each row is looked up by its English text, so a quote
+// keeps its translation after the defaults are edited. Rows typed on the quote,
+// or with no translation yet, print as they are.
+function getQuoteSectionPdfRows(sections, key, language) {
+  const rows = sections[key];
+  if (language === 'en') {
+    return rows;
+  }
+
+  return rows.map((row) => {
+    const match = findSettingTranslation(key, language, row);
+    if (!match) {
+      return row;
+    }
+    return Object.fromEntries(companySettingSections[key].fields.map(({ key: field }) => [
+      field,
+      field !== 'sr_no' && text(match[field]) ? match[field] : row[field]
+    ]));
+  });
+}
+
+const discountTypes = new Set(['percent', 'flat']);
+
+function normalizeDiscount(type, value) {
+  const discountValue = round2(Math.max(Number(value || 0), 0));
+  if (!discountTypes.has(type) || !(discountValue > 0)) {
+    return { discountType: null, discountValue: 0 };
+  }
+  return { discountType: type, discountValue };
+}
+
+function computeDiscountAmount(base, { discountType, discountValue }) {
+  if (discountType === 'percent') {
+    return round2((base * Math.min(discountValue, 100)) / 100);
+  }
+  if (discountType === 'flat') {
+    return round2(Math.min(discountValue, Math.max(base, 0)));
+  }
+  return 0;
+}
+
+// quoteDiscount is this line's share of the quote-level discount; GST is
+// charged on what is left after both discounts.
+function calculateItem(item, { interState = false, quoteDiscount = 0 } = {}) {
+  const qty = Number(item.qty || 0);
+  const unitPrice = Number(item.unit_price || 0);
+  const gstRate = Number(item.gst_rate || 0);
+  const grossAmount = round2(qty * unitPrice);
+  const discount = normalizeDiscount(item.discount_type, item.discount_value);
+  const discountAmount = computeDiscountAmount(grossAmount, discount);
+  const quoteDiscountShare = round2(Math.max(Math.min(Number(quoteDiscount || 0), grossAmount - discountAmount), 0));
+  const taxable = round2(grossAmount - discountAmount - quoteDiscountShare);
+  let cgst = 0;
+  let sgst = 0;
+  let igst = 0;
+
+  if (interState) {
+    igst = round2((taxable * gstRate) / 100);
+  } else {
+    const halfRate = gstRate / 2;
+    cgst = round2((taxable * halfRate) / 100);
+    sgst = round2((taxable * halfRate) / 100);
+  }
+
+  const total = round2(taxable + cgst + sgst + igst);
+
+  return {
+    ...item,
+    qty,
+    unit_price: unitPrice,
+    gst_rate: gstRate,
+    gross_amount: grossAmount,
+    discount_type: discount.discountType,
+    discount_value: discount.discountValue,
+    discount_amount: discountAmount,
+    quote_discount: quoteDiscountShare,
+    taxable,
+    cgst,
+    sgst,
+    igst,
     total
   };
 }
 
-function parseItems(itemsJson) {
+function parseItems(itemsJson, { interState = false } = {}) {
   let parsed = [];
   try {
     parsed = JSON.parse(itemsJson || '[]');
@@ -548,7 +1255,9 @@ function parseItems(itemsJson) {
     throw new Error('Invalid item data in request.');
   }
 
-  const items = Array.isArray(parsed) ? parsed.map(calculateItem) : [];
+  const items = Array.isArray(parsed)
+    ? parsed.map((item) => calculateItem(item, { interState }))
+    : [];
   if (!items.length) {
     throw new Error('Please add at least one item.');
   }
@@ -561,158 +1270,226 @@ function parseItems(itemsJson) {
   return items.filter((item) => String(item.name || '').trim());
 }
 
-async function generateQuoteNumber(id, quoteDate) {
-  const year = new Date(quoteDate).getFullYear();
-  return `Q-${year}-${String(id).padStart(4, '0')}`;
+const quoteStatuses = {
+  draft: 'Draft',
+  sent: 'Sent',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  expired: 'Expired'
+};
+
+// Expired is only ever entered by expireOverdueQuotes; everything else is a user action.
+const quoteStatusTransitions = {
+  draft: ['sent', 'accepted', 'rejected'],
+  sent: ['accepted', 'rejected', 'draft'],
+  accepted: ['sent', 'rejected'],
+  rejected: ['draft'],
+  expired: ['draft']
+};
+
+function getQuoteStatusLabel(status) {
+  return quoteStatuses[status] || quoteStatuses.draft;
 }
 
-function buildQuoteSummary(items) {
-  const subtotal = round2(items.reduce((sum, item) => sum + item.taxable, 0));
-  const cgstTotal = round2(items.reduce((sum, item) => sum + item.cgst, 0));
-  const sgstTotal = round2(items.reduce((sum, item) => sum + item.sgst, 0));
-  const total = round2(subtotal + cgstTotal + sgstTotal);
+function getAllowedQuoteStatuses(status) {
+  return (quoteStatusTransitions[status] || []).map((value) => ({ value, label: quoteStatuses[value] }));
+}
 
-  return { subtotal, cgstTotal, sgstTotal, total };
+function getQuoteValidityDays() {
+  const days = Number(company.quoteValidityDays);
+  return Number.isInteger(days) && days > 0 ? days : 3;
 }
 
-async function ensureQuoteEnhancements() {
-  const dbName = process.env.DB_NAME;
-  if (!dbName) {
-    return;
+function computeValidUntil(quoteDate) {
+  const date = new Date(`${formatDate(quoteDate)}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    return null;
   }
+  date.setUTCDate(date.getUTCDate() + getQuoteValidityDays());
+  return formatDate(date);
+}
 
-  const [rows] = await pool.query(
-    `SELECT COLUMN_NAME
-     FROM INFORMATION_SCHEMA.COLUMNS
-     WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'quotes'
-       AND COLUMN_NAME IN ('proposal_items_json', 'selected_bank_key')`,
-    [dbName]
-  );
+// Fills {validityDays} and {validUntil} placeholders in the terms table.
+function buildTermsConditionRows(quote, rows = termsConditions) {
+  const validityDays = String(getQuoteValidityDays()).padStart(2, '0');
+  const validUntil = formatDate(quote.valid_until) || computeValidUntil(quote.quote_date) || '-';
 
-  const columns = new Set(rows.map((row) => row.COLUMN_NAME));
+  return rows.map((row) => ({
+    ...row,
+    remark: text(row.remark)
+      .replace(/\{validityDays\}/g, validityDays)
+      .replace(/\{validUntil\}/g, validUntil)
+  }));
+}
 
-  if (!columns.has('proposal_items_json')) {
-    await pool.query('ALTER TABLE quotes ADD COLUMN proposal_items_json LONGTEXT NULL');
+const auditEntityTypes = {
+  quote: 'Quote',
+  product: 'Product',
+  kit: 'Kit',
+  user: 'User',
+  numbering: 'Numbering',
+  settings: 'Company Settings',
+  proposal_template: 'Proposal Template'
+};
+const auditActions = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  archive: 'Archived',
+  restore: 'Restored',
+  password: 'Password Reset'
+};
+
+function normalizeAuditValue(value) {
+  if (value instanceof Date) {
+    return formatDateTime(value);
+  }
+  if (value === undefined || value === null || value === '') {
+    return null;
   }
+  return typeof value === 'number' ? value : String(value);
+}
+
+// Field-level before/after pairs. Numbers compare by value so "12.00" from
+// MySQL and 12 from a form are not reported as a change.
+function buildAuditFieldChanges(before, after, { ignore = [] } = {}) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  keys.forEach((field) => {
+    if (ignore.includes(field)) {
+      return;
+    }
+
+    const from = normalizeAuditValue(before ? before[field] : null);
+    const to = normalizeAuditValue(after ? after[field] : null);
+    const bothNumeric = from !== null && to !== null && Number.isFinite(Number(from)) && Number.isFinite(Number(to));
+    const same = bothNumeric ? Number(from) === Number(to) : from === to;
+    if (!same) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  return changes;
+}
 
-  if (!columns.has('selected_bank_key')) {
-    await pool.query('ALTER TABLE quotes ADD COLUMN selected_bank_key VARCHAR(100) NULL');
+// `executor` is the pool or the caller's transaction connection. Updates that
+// change nothing are not logged.
+async function writeAuditLog(executor, { entityType, entityId, action, user, fields = [], items = [] }) {
+  if (action === 'update' && !fields.length && !items.length) {
+    return;
   }
+
+  await executor.query(
+    `INSERT INTO audit_log (entity_type, entity_id, action, user_id, username, changes_json)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      entityType,
+      String(entityId),
+      action,
+      user ? user.id : null,
+      user ? user.username : 'system',
+      JSON.stringify({ fields, items })
+    ]
+  );
 }
 
-async function saveQuote({ body, quoteId }) {
-  const items = parseItems(body.items_json || '[]');
-  const proposalItems = parseProposalItems(body.proposal_items_json || '[]', body);
-  const proposalItemsJson = JSON.stringify(proposalItems);
-  const { subtotal, cgstTotal, sgstTotal, total } = buildQuoteSummary(items);
-  const selectedBank = getSelectedBank(body.selected_bank_key);
-  const selectedBankKey = selectedBank ? selectedBank.key : null;
+const productAuditIgnoredColumns = ['id', 'created_at', 'archived_at', 'archived_by'];
 
-  const quoteDate = body.quote_date || new Date().toISOString().slice(0, 10);
-  const customerName = String(body.customer_name || '').trim();
+function mapAuditRow(row) {
+  const changes = parseJson(row.changes_json, {});
+  return {
+    ...row,
+    entity_label: auditEntityTypes[row.entity_type] || row.entity_type,
+    action_label: auditActions[row.action] || row.action,
+    created_at_display: formatDateTime(row.created_at),
+    fields: Array.isArray(changes.fields) ? changes.fields : [],
+    items: Array.isArray(changes.items) ? changes.items : []
+  };
+}
 
-  if (!customerName) {
-    throw new Error('Customer name is required.');
+async function loadAuditLog({ entityType, entityId, username, fromDate, toDate, limit = 200 }) {
+  const conditions = [];
+  const params = [];
+
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
   }
-  if (!selectedBankKey) {
-    throw new Error('Please select bank account details.');
+  if (entityId) {
+    conditions.push('entity_id = ?');
+    params.push(String(entityId));
+  }
+  if (username) {
+    conditions.push('username = ?');
+    params.push(username);
+  }
+  if (fromDate) {
+    conditions.push('created_at >= ?');
+    params.push(`${fromDate} 00:00:00`);
+  }
+  if (toDate) {
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(toDate);
   }
 
-  const connection = await pool.getConnection();
-
-  try {
-    await connection.beginTransaction();
+  let sql = 'SELECT id, entity_type, entity_id, action, user_id, username, changes_json, created_at FROM audit_log';
+  if (conditions.length) {
+    sql += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
 
-    let finalQuoteId = Number(quoteId || 0);
+  const [rows] = await pool.query(sql, params);
+  return rows.map(mapAuditRow);
+}
 
-    if (!finalQuoteId) {
-      const [insertResult] = await connection.query(
-        `INSERT INTO quotes
-          (quote_no, quote_date, customer_name, customer_phone, customer_email, customer_address, customer_gstin, selected_bank_key, proposal_items_json, subtotal, cgst_total, sgst_total, total, notes)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          null,
-          quoteDate,
-          customerName,
-          body.customer_phone || null,
-          body.customer_email || null,
-          body.customer_address || null,
-          body.customer_gstin || null,
-          selectedBankKey,
-          proposalItemsJson,
-          subtotal,
-          cgstTotal,
-          sgstTotal,
-          total,
-          body.notes || null
-        ]
-      );
+async function recordQuoteStatusChange(connection, { quoteId, fromStatus, toStatus, changedBy }) {
+  const changedByName = text(changedBy).trim() || 'system';
+  await connection.query(
+    'UPDATE quotes SET status = ?, status_changed_at = NOW(), status_changed_by = ? WHERE id = ?',
+    [toStatus, changedByName, quoteId]
+  );
+  await connection.query(
+    'INSERT INTO quote_status_history (quote_id, from_status, to_status, changed_by) VALUES (?, ?, ?, ?)',
+    [quoteId, fromStatus, toStatus, changedByName]
+  );
+}
 
-      finalQuoteId = insertResult.insertId;
-      const quoteNo = await generateQuoteNumber(finalQuoteId, quoteDate);
-      await connection.query('UPDATE quotes SET quote_no = ? WHERE id = ?', [quoteNo, finalQuoteId]);
-    } else {
-      const [[existingQuote]] = await connection.query('SELECT id, quote_no FROM quotes WHERE id = ?', [finalQuoteId]);
-      if (!existingQuote) {
-        throw new Error('Quote not found.');
-      }
+async function changeQuoteStatus({ quoteId, toStatus, user }) {
+  if (!quoteStatuses[toStatus]) {
+    throw new Error('Unknown quote status.');
+  }
 
-      await connection.query(
-        `UPDATE quotes
-         SET quote_date = ?, customer_name = ?, customer_phone = ?, customer_email = ?, customer_address = ?, customer_gstin = ?,
-             selected_bank_key = ?, proposal_items_json = ?, subtotal = ?, cgst_total = ?, sgst_total = ?, total = ?, notes = ?
-         WHERE id = ?`,
-        [
-          quoteDate,
-          customerName,
-          body.customer_phone || null,
-          body.customer_email || null,
-          body.customer_address || null,
-          body.customer_gstin || null,
-          selectedBankKey,
-          proposalItemsJson,
-          subtotal,
-          cgstTotal,
-          sgstTotal,
-          total,
-          body.notes || null,
-          finalQuoteId
-        ]
-      );
+  const connection = await pool.getConnection();
 
-      if (!existingQuote.quote_no) {
-        const quoteNo = await generateQuoteNumber(finalQuoteId, quoteDate);
-        await connection.query('UPDATE quotes SET quote_no = ? WHERE id = ?', [quoteNo, finalQuoteId]);
-      }
+  try {
+    await connection.beginTransaction();
 
-      await connection.query('DELETE FROM quote_items WHERE quote_id = ?', [finalQuoteId]);
+    const [[quote]] = await connection.query(
+      'SELECT id, status, valid_until FROM quotes WHERE id = ? FOR UPDATE',
+      [quoteId]
+    );
+    if (!quote) {
+      throw new Error('Quote not found.');
     }
 
-    for (const item of items) {
-      await connection.query(
-        `INSERT INTO quote_items
-          (quote_id, product_id, name, description, hsn, unit, qty, unit_price, gst_rate, taxable, cgst, sgst, total)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          finalQuoteId,
-          item.product_id || null,
-          item.name,
-          item.description || null,
-          item.hsn || null,
-          item.unit || null,
-          item.qty,
-          item.unit_price,
-          item.gst_rate,
-          item.taxable,
-          item.cgst,
-          item.sgst,
-          item.total
-        ]
-      );
+    const fromStatus = quote.status || 'draft';
+    if (fromStatus === 'accepted') {
+      const [[invoice]] = await connection.query('SELECT invoice_no FROM invoices WHERE quote_id = ?', [quoteId]);
+      if (invoice) {
+        throw new Error(`This quote is invoiced as ${invoice.invoice_no} and stays Accepted.`);
+      }
+    }
+    if (!(quoteStatusTransitions[fromStatus] || []).includes(toStatus)) {
+      throw new Error(`A ${getQuoteStatusLabel(fromStatus)} quote cannot be marked ${getQuoteStatusLabel(toStatus)}.`);
+    }
+    if (fromStatus === 'expired' && formatDate(quote.valid_until) < formatDate(new Date())) {
+      throw new Error('This quote is past its validity date. Edit the quote date before reopening it.');
     }
 
+    await recordQuoteStatusChange(connection, { quoteId, fromStatus, toStatus, changedBy: user && user.username });
     await connection.commit();
-    return finalQuoteId;
   } catch (error) {
     await connection.rollback();
     throw error;
@@ -721,924 +1498,5874 @@ async function saveQuote({ body, quoteId }) {
   }
 }
 
-async function loadQuote(quoteId) {
-  const [[quote]] = await pool.query('SELECT * FROM quotes WHERE id = ?', [quoteId]);
-  if (!quote) {
-    return null;
+async function expireOverdueQuotes() {
+  const [overdueQuotes] = await pool.query(
+    `SELECT id, status
+     FROM quotes
+     WHERE status IN ('draft', 'sent') AND valid_until IS NOT NULL AND valid_until < CURDATE()`
+  );
+
+  for (const quote of overdueQuotes) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [[current]] = await connection.query('SELECT status FROM quotes WHERE id = ? FOR UPDATE', [quote.id]);
+      if (current && current.status === quote.status) {
+        await recordQuoteStatusChange(connection, {
+          quoteId: quote.id,
+          fromStatus: quote.status,
+          toStatus: 'expired',
+          changedBy: 'system'
+        });
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
   }
+}
 
-  const [itemsRaw] = await pool.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
-  const items = itemsRaw.map((item) => ({
-    product_id: item.product_id,
-    name: item.name,
-    description: item.description,
-    hsn: item.hsn,
-    unit: item.unit,
-    qty: Number(item.qty || 0),
-    unit_price: Number(item.unit_price || 0),
-    gst_rate: Number(item.gst_rate || 0)
-  }));
+async function loadQuoteStatusHistory(quoteId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM quote_status_history WHERE quote_id = ? ORDER BY id DESC',
+    [quoteId]
+  );
 
-  const proposalItems = parseProposalItems(quote.proposal_items_json);
+  return rows.map((row) => ({
+    ...row,
+    from_label: row.from_status ? getQuoteStatusLabel(row.from_status) : '-',
+    to_label: getQuoteStatusLabel(row.to_status),
+    changed_at_display: formatDateTime(row.changed_at)
+  }));
+}
 
+function getFinancialYear(dateValue) {
+  const date = new Date(`${formatDate(dateValue) || formatDate(new Date())}T00:00:00Z`);
+  const startYear = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
   return {
-    quote: {
-      ...quote,
-      quote_date_display: formatDate(quote.quote_date)
-    },
-    items,
-    proposalItems
+    startYear,
+    label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
   };
 }
 
-function drawTable(doc, {
-  title,
-  columns,
-  rows,
-  startY,
-  x = 40,
-  drawTitleOnNewPage = true,
-  keepTogether = false
-}) {
-  const totalWidth = columns.reduce((sum, col) => sum + col.width, 0);
-  const pageBottom = doc.page.height - doc.page.margins.bottom;
-  const titleHeight = title ? 24 : 0;
-  const headerHeight = 24;
+// Supported tokens: {FY} (2026-27), {YYYY} (calendar year) and {SEQ} / {SEQ:4} (zero padded counter).
+function formatDocumentNumber(format, { date, sequence }) {
+  const financialYear = getFinancialYear(date);
+  const calendarYear = (formatDate(date) || formatDate(new Date())).slice(0, 4);
 
-  let y = startY;
+  return text(format)
+    .replace(/\{FY\}/g, financialYear.label)
+    .replace(/\{YYYY\}/g, calendarYear)
+    .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(Number(width || 1), '0'));
+}
 
-  if (keepTogether) {
-    let estimatedHeight = title ? titleHeight : 0;
-    estimatedHeight += headerHeight;
-    rows.forEach((row) => {
-      const rowValues = columns.map((col) => text(row[col.key] || ''));
-      const rowHeight = Math.max(
-        24,
-        ...rowValues.map((value, idx) => {
-          const col = columns[idx];
-          const cellHeight = doc.heightOfString(value, {
-            width: col.width - 8,
-            align: col.align || 'left'
-          });
-          return cellHeight + 8;
-        })
-      );
-      estimatedHeight += rowHeight;
-    });
+// Hands out the next number of a series for the financial year of `date`.
+// The counter row is locked and bumped inside the caller's transaction, so a
+// rollback gives the number back and the series stays gap-free. `issued_through`
+// records the highest number ever handed out and is never lowered.
+async function allocateDocumentSequence(connection, series, date) {
+  const period = getFinancialYear(date).label;
+  await connection.query(
+    'INSERT IGNORE INTO document_sequences (series, period, next_value) VALUES (?, ?, 1)',
+    [series, period]
+  );
 
-    if (y + estimatedHeight > pageBottom) {
-      doc.addPage();
-      y = doc.page.margins.top;
-    }
-  }
+  const [[sequenceRow]] = await connection.query(
+    'SELECT next_value FROM document_sequences WHERE series = ? AND period = ? FOR UPDATE',
+    [series, period]
+  );
+  const sequence = Number(sequenceRow.next_value);
 
-  function drawTitleRow(textValue) {
-    doc.save();
-    doc.rect(x, y, totalWidth, titleHeight).fill('#ececec');
-    doc.restore();
-    doc.rect(x, y, totalWidth, titleHeight).stroke();
-    doc.font('Helvetica-Bold').fontSize(12).text(textValue, x, y + 6, { width: totalWidth, align: 'center' });
-    y += titleHeight;
-  }
+  await connection.query(
+    'UPDATE document_sequences SET next_value = ?, issued_through = GREATEST(issued_through, ?) WHERE series = ? AND period = ?',
+    [sequence + 1, sequence, series, period]
+  );
 
-  function drawHeaderRow() {
-    doc.save();
-    doc.rect(x, y, totalWidth, headerHeight).fill('#f4f4f4');
-    doc.restore();
-    doc.rect(x, y, totalWidth, headerHeight).stroke();
+  return sequence;
+}
 
-    let xCursor = x;
-    columns.forEach((col) => {
-      doc.rect(xCursor, y, col.width, headerHeight).stroke();
-      doc.font('Helvetica-Bold').fontSize(10).text(col.label, xCursor + 4, y + 6, {
-        width: col.width - 8,
-        align: col.align || 'left'
+function getInvoiceNumberFormat() {
+  return text(company.invoiceNumberFormat).trim() || 'INV/{FY}/{SEQ:4}';
+}
+
+function getQuoteNumberFormat() {
+  return text(company.quoteNumberFormat).trim() || 'Q/{FY}/{SEQ:4}';
+}
+
+const documentSeries = {
+  quote: { label: 'Quotations', getFormat: getQuoteNumberFormat, table: 'quotes', column: 'quote_no' },
+  invoice: { label: 'Tax Invoices', getFormat: getInvoiceNumberFormat, table: 'invoices', column: 'invoice_no' }
+};
+
+// Counters restart every financial year, so a format without {FY} would hand
+// out the same numbers again each April.
+Object.entries(documentSeries).forEach(([series, { getFormat }]) => {
+  const format = getFormat();
+  if (!format.includes('{FY}') || !/\{SEQ(?::\d+)?\}/.test(format)) {
+    throw new Error(`${series}NumberFormat "${format}" in company.json must contain {FY} and {SEQ} or {SEQ:n}.`);
+  }
+});
+
+async function allocateDocumentNumber(connection, series, date) {
+  const sequence = await allocateDocumentSequence(connection, series, date);
+  return formatDocumentNumber(documentSeries[series].getFormat(), { date, sequence });
+}
+
+// The numbering page offers the running FY and the next one, so the April
+// rollover can be prepared in March.
+function getNumberingPeriods() {
+  const { startYear } = getFinancialYear(new Date());
+  return [startYear, startYear + 1].map((year) => {
+    const date = `${year}-04-01`;
+    return { label: getFinancialYear(date).label, date };
+  });
+}
+
+async function loadDocumentSequenceSettings() {
+  const periods = getNumberingPeriods();
+  const [rows] = await pool.query(
+    'SELECT series, period, next_value, start_value FROM document_sequences WHERE period IN (?)',
+    [periods.map((period) => period.label)]
+  );
+  const rowsByKey = new Map(rows.map((row) => [`${row.series}:${row.period}`, row]));
+
+  return Object.entries(documentSeries).map(([series, config]) => ({
+    series,
+    label: config.label,
+    format: config.getFormat(),
+    periods: periods.map((period) => {
+      const row = rowsByKey.get(`${series}:${period.label}`);
+      const nextValue = row ? Number(row.next_value) : 1;
+      return {
+        label: period.label,
+        nextValue,
+        nextNumber: formatDocumentNumber(config.getFormat(), { date: period.date, sequence: nextValue }),
+        issuedCount: row ? nextValue - Number(row.start_value) : 0
+      };
+    })
+  }));
+}
+
+// Sets where a series starts for one FY, e.g. to continue from paper records.
+// The counter may skip ahead, but never back to or below the highest number
+// already issued, even if it was moved forward in between; otherwise a number
+// would be handed out twice.
+async function setDocumentSequenceStart({ series, period, nextValue, user }) {
+  const fieldErrors = {};
+  const startValue = Number(nextValue);
+
+  if (!documentSeries[series]) {
+    fieldErrors.series = 'Unknown numbering series.';
+  }
+  if (!getNumberingPeriods().some((item) => item.label === period)) {
+    fieldErrors.period = 'Choose the current or the next financial year.';
+  }
+  if (!Number.isInteger(startValue) || startValue < 1) {
+    fieldErrors.next_value = 'Next number must be a whole number of 1 or more.';
+  }
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query(
+      'INSERT IGNORE INTO document_sequences (series, period, next_value, start_value) VALUES (?, ?, 1, 1)',
+      [series, period]
+    );
+
+    const [[sequenceRow]] = await connection.query(
+      'SELECT next_value, issued_through FROM document_sequences WHERE series = ? AND period = ? FOR UPDATE',
+      [series, period]
+    );
+    const currentNext = Number(sequenceRow.next_value);
+    const issuedThrough = Number(sequenceRow.issued_through);
+
+    if (startValue <= issuedThrough) {
+      throw new ValidationError({
+        next_value: `Numbers up to ${issuedThrough} are already issued for ${period}. Next number must be ${issuedThrough + 1} or more.`
       });
-      xCursor += col.width;
+    }
+
+    // A number written by an earlier number format can match too, so also
+    // refuse one that is already on a document.
+    const { getFormat, table, column } = documentSeries[series];
+    const periodDate = getNumberingPeriods().find((item) => item.label === period).date;
+    const nextNumber = formatDocumentNumber(getFormat(), { date: periodDate, sequence: startValue });
+    const [[existingDocument]] = await connection.query(`SELECT id FROM ${table} WHERE ${column} = ? LIMIT 1`, [nextNumber]);
+    if (existingDocument) {
+      throw new ValidationError({
+        next_value: `${nextNumber} has already been issued. Pick a number after the last one used for ${period}.`
+      });
+    }
+
+    await connection.query(
+      'UPDATE document_sequences SET next_value = ?, start_value = ? WHERE series = ? AND period = ?',
+      [startValue, startValue, series, period]
+    );
+    await writeAuditLog(connection, {
+      entityType: 'numbering',
+      entityId: `${series}:${period}`,
+      action: 'update',
+      user,
+      fields: buildAuditFieldChanges({ next_value: currentNext }, { next_value: startValue })
     });
 
-    y += headerHeight;
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
+}
 
-  if (title) {
-    if (y + titleHeight + headerHeight > pageBottom) {
-      doc.addPage();
-      y = doc.page.margins.top;
+// The quote discount is spread over the lines in proportion to their value after
+// line discounts, so every line's GST is on its discounted taxable value. Rounding
+// paise go to the largest line. Returns the re-priced items with the totals.
+function buildQuoteSummary(items, { discountType = null, discountValue = 0, interState = false } = {}) {
+  const discount = normalizeDiscount(discountType, discountValue);
+  const netAmounts = items.map((item) => round2(item.gross_amount - item.discount_amount));
+  const netTotal = round2(netAmounts.reduce((sum, amount) => sum + amount, 0));
+  const quoteDiscount = computeDiscountAmount(netTotal, discount);
+  const shares = netAmounts.map((amount) => (netTotal > 0 ? round2((quoteDiscount * amount) / netTotal) : 0));
+  const remainder = round2(quoteDiscount - shares.reduce((sum, share) => sum + share, 0));
+  if (remainder && shares.length) {
+    const largest = netAmounts.indexOf(Math.max(...netAmounts));
+    shares[largest] = round2(shares[largest] + remainder);
+  }
+  const pricedItems = items.map((item, idx) => calculateItem(item, { interState, quoteDiscount: shares[idx] }));
+
+  const sum = (key) => round2(pricedItems.reduce((total, item) => total + item[key], 0));
+  const subtotal = sum('taxable');
+  const cgstTotal = sum('cgst');
+  const sgstTotal = sum('sgst');
+  const igstTotal = sum('igst');
+  const total = round2(subtotal + cgstTotal + sgstTotal + igstTotal);
+
+  return {
+    items: pricedItems,
+    discountType: discount.discountType,
+    discountValue: discount.discountValue,
+    netTotal,
+    lineDiscountTotal: sum('discount_amount'),
+    quoteDiscount: sum('quote_discount'),
+    subtotal,
+    cgstTotal,
+    sgstTotal,
+    igstTotal,
+    total
+  };
+}
+
+async function ensureColumns(tableName, columnDefinitions) {
+  const dbName = process.env.DB_NAME;
+  const columnNames = Object.keys(columnDefinitions);
+  const [rows] = await pool.query(
+    `SELECT COLUMN_NAME
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME IN (?)`,
+    [dbName, tableName, columnNames]
+  );
+
+  const columns = new Set(rows.map((row) => row.COLUMN_NAME));
+
+  for (const columnName of columnNames) {
+    if (!columns.has(columnName)) {
+      await pool.query(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnDefinitions[columnName]}`);
     }
-    drawTitleRow(title);
   }
+}
+
+async function seedInitialAdmin() {
+  const [[{ userCount }]] = await pool.query('SELECT COUNT(*) AS userCount FROM users');
+  if (Number(userCount) > 0) {
+    return;
+  }
+
+  if (!authConfig.username || !authConfig.password) {
+    throw new Error('No users exist yet. Set APP_LOGIN_USERNAME and APP_LOGIN_PASSWORD to create the first admin.');
+  }
+
+  await pool.query(
+    'INSERT INTO users (username, display_name, password_hash, role, password_changed_at) VALUES (?, ?, ?, ?, NOW())',
+    [authConfig.username, authConfig.username, await hashPassword(authConfig.password), 'admin']
+  );
+  console.log(`Created admin user "${authConfig.username}" from APP_LOGIN_USERNAME.`);
+}
+
+async function ensureQuoteEnhancements() {
+  const dbName = process.env.DB_NAME;
+  if (!dbName) {
+    return;
+  }
+
+  await ensureColumns('quotes', {
+    proposal_items_json: 'LONGTEXT NULL',
+    selected_bank_key: 'VARCHAR(100) NULL',
+    place_of_supply: 'VARCHAR(2) NULL',
+    igst_total: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('quote_items', {
+    igst: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('quotes', {
+    revision_no: 'INT NOT NULL DEFAULT 0'
+  });
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS quote_revisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quote_id INT NOT NULL,
+      revision_no INT NOT NULL,
+      quote_json LONGTEXT NOT NULL,
+      items_json LONGTEXT NOT NULL,
+      subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+      total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_quote_revisions_quote_revision (quote_id, revision_no),
+      CONSTRAINT fk_quote_revisions_quote
+        FOREIGN KEY (quote_id)
+        REFERENCES quotes(id)
+        ON DELETE CASCADE
+    )`
+  );
+
+  await ensureColumns('quotes', {
+    status: "VARCHAR(20) NOT NULL DEFAULT 'draft'",
+    status_changed_at: 'DATETIME NULL',
+    status_changed_by: 'VARCHAR(100) NULL',
+    valid_until: 'DATE NULL'
+  });
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS quote_status_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      quote_id INT NOT NULL,
+      from_status VARCHAR(20) NULL,
+      to_status VARCHAR(20) NOT NULL,
+      changed_by VARCHAR(100) NULL,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_quote_status_history_quote
+        FOREIGN KEY (quote_id)
+        REFERENCES quotes(id)
+        ON DELETE CASCADE
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS document_sequences (
+      series VARCHAR(30) NOT NULL,
+      period VARCHAR(20) NOT NULL,
+      next_value INT NOT NULL DEFAULT 1,
+      start_value INT NOT NULL DEFAULT 1,
+      issued_through INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (series, period)
+    )`
+  );
+
+  await ensureColumns('document_sequences', {
+    start_value: 'INT NOT NULL DEFAULT 1'
+  });
+
+  // Quote numbers get the same guarantee as invoice numbers. Older databases
+  // holding a duplicate keep running without the key until it is fixed by hand.
+  const [[quoteNoIndex]] = await pool.query(
+    `SELECT COUNT(*) AS count
+     FROM INFORMATION_SCHEMA.STATISTICS
+     WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'quotes' AND INDEX_NAME = 'uq_quotes_quote_no'`,
+    [process.env.DB_NAME]
+  );
+  if (!Number(quoteNoIndex.count)) {
+    const [duplicateQuoteNos] = await pool.query(
+      'SELECT quote_no FROM quotes WHERE quote_no IS NOT NULL GROUP BY quote_no HAVING COUNT(*) > 1 LIMIT 5'
+    );
+    if (duplicateQuoteNos.length) {
+      console.error(
+        `Quote numbers used more than once (${duplicateQuoteNos.map((row) => row.quote_no).join(', ')}); renumber them so quote_no can be made unique.`
+      );
+    } else {
+      await pool.query('ALTER TABLE quotes ADD UNIQUE KEY uq_quotes_quote_no (quote_no)');
+    }
+  }
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS invoices (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_no VARCHAR(50) NOT NULL,
+      invoice_date DATE NOT NULL,
+      quote_id INT NOT NULL,
+      quote_no VARCHAR(50) NULL,
+      quote_revision_no INT NULL,
+      customer_name VARCHAR(200) NOT NULL,
+      customer_phone VARCHAR(50) NULL,
+      customer_email VARCHAR(120) NULL,
+      customer_address TEXT NULL,
+      customer_gstin VARCHAR(50) NULL,
+      place_of_supply VARCHAR(2) NULL,
+      reverse_charge TINYINT(1) NOT NULL DEFAULT 0,
+      selected_bank_key VARCHAR(100) NULL,
+      subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+      cgst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      sgst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      igst_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      created_by VARCHAR(100) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_invoices_invoice_no (invoice_no),
+      UNIQUE KEY uq_invoices_quote (quote_id),
+      CONSTRAINT fk_invoices_quote
+        FOREIGN KEY (quote_id)
+        REFERENCES quotes(id)
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS invoice_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT NOT NULL,
+      product_id INT NULL,
+      name VARCHAR(200) NOT NULL,
+      description TEXT NULL,
+      hsn VARCHAR(50) NULL,
+      unit VARCHAR(50) NULL,
+      qty DECIMAL(12,2) NOT NULL DEFAULT 0,
+      unit_price DECIMAL(12,2) NOT NULL DEFAULT 0,
+      gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+      taxable DECIMAL(12,2) NOT NULL DEFAULT 0,
+      cgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+      sgst DECIMAL(12,2) NOT NULL DEFAULT 0,
+      igst DECIMAL(12,2) NOT NULL DEFAULT 0,
+      total DECIMAL(12,2) NOT NULL DEFAULT 0,
+      CONSTRAINT fk_invoice_items_invoice
+        FOREIGN KEY (invoice_id)
+        REFERENCES invoices(id)
+    )`
+  );
+
+  // Invoices issued before these columns existed carry no discount breakdown
+  // and print as they always did.
+  await ensureColumns('invoices', {
+    discount_type: 'VARCHAR(10) NULL',
+    discount_value: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    discount_amount: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    line_discount_total: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('invoice_items', {
+    discount_type: 'VARCHAR(10) NULL',
+    discount_value: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    discount_amount: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    quote_discount: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(60) NOT NULL,
+      display_name VARCHAR(120) NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'sales',
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      password_changed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_users_username (username)
+    )`
+  );
+
+  await ensureColumns('quotes', {
+    created_by_user_id: 'INT NULL'
+  });
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS user_sessions (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      user_id INT NOT NULL,
+      created_at DATETIME NOT NULL,
+      last_seen_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      ip_address VARCHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      KEY idx_user_sessions_user (user_id),
+      CONSTRAINT fk_user_sessions_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS login_throttles (
+      throttle_key VARCHAR(190) NOT NULL PRIMARY KEY,
+      failure_count INT NOT NULL DEFAULT 0,
+      last_failure_at DATETIME NOT NULL,
+      locked_until DATETIME NULL
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id VARCHAR(60) NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      user_id INT NULL,
+      username VARCHAR(100) NULL,
+      changes_json LONGTEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_audit_log_entity (entity_type, entity_id),
+      KEY idx_audit_log_created (created_at)
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS customers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      phone VARCHAR(50) NULL,
+      phone_key VARCHAR(20) NULL,
+      email VARCHAR(120) NULL,
+      address TEXT NULL,
+      gstin VARCHAR(50) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_customers_gstin (gstin),
+      KEY idx_customers_phone_key (phone_key),
+      KEY idx_customers_name (name)
+    )`
+  );
+
+  await ensureColumns('quotes', {
+    customer_id: 'INT NULL'
+  });
+
+  await ensureColumns('products', {
+    archived_at: 'DATETIME NULL',
+    archived_by: 'VARCHAR(100) NULL'
+  });
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS kits (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      description TEXT NULL,
+      show_as_bundle TINYINT(1) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_kits_name (name)
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS kit_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      kit_id INT NOT NULL,
+      product_id INT NOT NULL,
+      qty DECIMAL(12,2) NOT NULL DEFAULT 1,
+      sort_order INT NOT NULL DEFAULT 0,
+      CONSTRAINT fk_kit_items_kit
+        FOREIGN KEY (kit_id)
+        REFERENCES kits(id)
+        ON DELETE CASCADE
+    )`
+  );
+
+  await ensureColumns('quote_items', {
+    kit_group: 'VARCHAR(40) NULL',
+    kit_name: 'VARCHAR(200) NULL',
+    kit_bundle: 'TINYINT(1) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('quotes', {
+    system_kwp: 'DECIMAL(8,2) NULL',
+    module_wattage: 'INT NULL',
+    inverter_kw: 'DECIMAL(8,2) NULL'
+  });
+
+  await ensureColumns('quotes', {
+    subsidy_category: 'VARCHAR(30) NULL',
+    subsidy_amount: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('quote_items', {
+    discount_type: 'VARCHAR(10) NULL',
+    discount_value: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    discount_amount: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    quote_discount: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('quotes', {
+    discount_type: 'VARCHAR(10) NULL',
+    discount_value: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    discount_amount: 'DECIMAL(12,2) NOT NULL DEFAULT 0',
+    line_discount_total: 'DECIMAL(12,2) NOT NULL DEFAULT 0'
+  });
+
+  await ensureColumns('quotes', {
+    projection_yield: 'DECIMAL(8,2) NULL',
+    projection_tariff: 'DECIMAL(8,2) NULL',
+    projection_escalation: 'DECIMAL(5,2) NULL',
+    projection_first_year_degradation: 'DECIMAL(5,2) NULL',
+    projection_annual_degradation: 'DECIMAL(5,2) NULL'
+  });
+
+  await ensureColumns('quotes', {
+    language: "VARCHAR(5) NOT NULL DEFAULT 'en'"
+  });
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS company_settings (
+      setting_key VARCHAR(60) PRIMARY KEY,
+      setting_value TEXT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS company_setting_rows (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      section VARCHAR(40) NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      row_json TEXT NOT NULL,
+      KEY idx_company_setting_rows_section (section, sort_order)
+    )`
+  );
+
+  const [[settingsRevision]] = await pool.query('SELECT setting_value FROM company_settings WHERE setting_key = ?', [
+    companySettingsRevisionKey
+  ]);
+  if (!settingsRevision) {
+    await importCompanySettings();
+  }
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS proposal_templates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(120) NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      rows_json TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_proposal_templates_name (name)
+    )`
+  );
+
+  await ensureColumns('quotes', {
+    proposal_template_id: 'INT NULL',
+    other_charges_json: 'LONGTEXT NULL',
+    customer_scope_json: 'LONGTEXT NULL',
+    terms_json: 'LONGTEXT NULL',
+    warranty_json: 'LONGTEXT NULL'
+  });
+
+  const [[templateCount]] = await pool.query('SELECT COUNT(*) AS count FROM proposal_templates');
+  if (!Number(templateCount.count)) {
+    await importProposalTemplates();
+  }
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS company_setting_translations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      section VARCHAR(40) NOT NULL,
+      language VARCHAR(5) NOT NULL,
+      source_key CHAR(64) NOT NULL,
+      source_json TEXT NOT NULL,
+      row_json TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_company_setting_translations (section, language, source_key)
+    )`
+  );
+
+  const [[translationsImported]] = await pool.query('SELECT setting_value FROM company_settings WHERE setting_key = ?', [
+    companyTranslationsImportedKey
+  ]);
+  if (!translationsImported) {
+    await importSettingTranslations();
+  }
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS product_price_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      price DECIMAL(12,2) NOT NULL DEFAULT 0,
+      gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+      effective_from DATETIME NOT NULL,
+      changed_by VARCHAR(100) NULL,
+      KEY idx_product_price_history_product (product_id, effective_from)
+    )`
+  );
+
+  // Products that predate price history start with their current price, effective from creation.
+  await pool.query(
+    `INSERT INTO product_price_history (product_id, price, gst_rate, effective_from)
+     SELECT p.id, p.price, p.gst_rate, COALESCE(p.created_at, NOW())
+     FROM products p
+     WHERE NOT EXISTS (SELECT 1 FROM product_price_history h WHERE h.product_id = p.id)`
+  );
+
+  await seedInitialAdmin();
+
+  await pool.query(
+    'UPDATE quotes SET valid_until = DATE_ADD(quote_date, INTERVAL ? DAY) WHERE valid_until IS NULL',
+    [getQuoteValidityDays()]
+  );
+
+  // Quotes saved before the customer master existed are folded into it oldest first,
+  // so each customer ends up with the details from their most recent quote.
+  const [unlinkedQuotes] = await pool.query(
+    `SELECT id, customer_name, customer_phone, customer_email, customer_address, customer_gstin
+     FROM quotes
+     WHERE customer_id IS NULL
+     ORDER BY id`
+  );
+  for (const row of unlinkedQuotes) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const customerId = await upsertCustomer(connection, {
+        name: row.customer_name,
+        phone: row.customer_phone,
+        email: row.customer_email,
+        address: row.customer_address,
+        gstin: row.customer_gstin
+      });
+      await connection.query('UPDATE quotes SET customer_id = ? WHERE id = ?', [customerId, row.id]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Quotes saved before revisions existed get their current state as R1.
+  const [unrevisedQuotes] = await pool.query('SELECT id FROM quotes WHERE revision_no = 0 ORDER BY id');
+  for (const row of unrevisedQuotes) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await createQuoteRevision(connection, row.id);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Columns that are bookkeeping rather than quote content; left out of snapshots.
+const quoteRevisionExcludedColumns = new Set([
+  'id', 'revision_no', 'created_at', 'created_by_user_id', 'customer_id', 'status', 'status_changed_at', 'status_changed_by'
+]);
+const quoteItemSnapshotColumns = [
+  'product_id', 'name', 'description', 'hsn', 'unit', 'qty', 'unit_price', 'gst_rate', 'taxable', 'cgst', 'sgst', 'igst', 'total'
+];
+const quoteItemNumericColumns = new Set(['qty', 'unit_price', 'gst_rate', 'taxable', 'cgst', 'sgst', 'igst', 'total']);
+
+function buildQuoteSnapshot(quoteRow) {
+  const snapshot = {};
+  Object.keys(quoteRow).forEach((key) => {
+    if (quoteRevisionExcludedColumns.has(key)) {
+      return;
+    }
+    snapshot[key] = quoteRow[key] instanceof Date ? formatDate(quoteRow[key]) : quoteRow[key];
+  });
+  return snapshot;
+}
+
+function buildQuoteItemSnapshot(itemRow) {
+  const snapshot = {};
+  quoteItemSnapshotColumns.forEach((key) => {
+    const value = itemRow[key] === undefined ? null : itemRow[key];
+    snapshot[key] = quoteItemNumericColumns.has(key) ? Number(value || 0) : value;
+  });
+  // Only kit lines carry kit keys, so snapshots of ordinary quotes are unchanged.
+  if (itemRow.kit_name) {
+    snapshot.kit_group = itemRow.kit_group;
+    snapshot.kit_name = itemRow.kit_name;
+    snapshot.kit_bundle = Number(itemRow.kit_bundle || 0);
+  }
+  // Likewise discount keys only appear on discounted lines.
+  if (itemRow.discount_type || Number(itemRow.quote_discount || 0)) {
+    snapshot.discount_type = itemRow.discount_type || null;
+    snapshot.discount_value = Number(itemRow.discount_value || 0);
+    snapshot.discount_amount = Number(itemRow.discount_amount || 0);
+    snapshot.quote_discount = Number(itemRow.quote_discount || 0);
+  }
+  return snapshot;
+}
+
+async function loadQuoteAuditState(connection, quoteId) {
+  const [[quoteRow]] = await connection.query('SELECT * FROM quotes WHERE id = ?', [quoteId]);
+  const [itemRows] = await connection.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
+  const quote = buildQuoteSnapshot(quoteRow);
+
+  return {
+    quote,
+    items: itemRows.map(buildQuoteItemSnapshot),
+    proposalItems: parseProposalItems(quote.proposal_items_json),
+    sections: parseQuoteSections(quote)
+  };
+}
+
+// Header fields diff generically; line items reuse the revision matcher so the
+// history reads "Panel 540W: Qty 10 -> 12" instead of raw rows.
+function buildQuoteAuditChanges(before, after) {
+  const fields = buildAuditFieldChanges(before && before.quote, after.quote, {
+    ignore: ['proposal_items_json', ...quoteSections.map(({ column }) => column)]
+  });
+
+  if (!before) {
+    return {
+      fields,
+      items: after.items.map((item) => ({ status: 'added', name: item.name, changes: [] }))
+    };
+  }
+
+  const diff = buildQuoteRevisionDiff(before, after);
+  if (diff.proposalChanges.length) {
+    fields.push({ field: 'proposal_items', from: null, to: `${diff.proposalChanges.length} row(s) changed` });
+  }
+  diff.sectionChanges.forEach((section) => {
+    fields.push({ field: section.column.replace(/_json$/, ''), from: null, to: `${section.changes.length} row(s) changed` });
+  });
+
+  return {
+    fields,
+    items: diff.items
+      .filter((item) => item.status !== 'unchanged')
+      .map(({ status, name, changes }) => ({ status, name, changes }))
+  };
+}
+
+// Appends the quote's current row and items as the next immutable revision.
+// Must run inside the caller's transaction; an unchanged quote gets no new revision.
+async function createQuoteRevision(connection, quoteId) {
+  const [[quoteRow]] = await connection.query('SELECT * FROM quotes WHERE id = ? FOR UPDATE', [quoteId]);
+  if (!quoteRow) {
+    throw new Error('Quote not found.');
+  }
+
+  const [itemRows] = await connection.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
+  const quoteJson = JSON.stringify(buildQuoteSnapshot(quoteRow));
+  const itemsJson = JSON.stringify(itemRows.map(buildQuoteItemSnapshot));
+  const currentRevisionNo = Number(quoteRow.revision_no || 0);
+
+  if (currentRevisionNo) {
+    const [[latest]] = await connection.query(
+      'SELECT quote_json, items_json FROM quote_revisions WHERE quote_id = ? AND revision_no = ?',
+      [quoteId, currentRevisionNo]
+    );
+    if (latest && latest.quote_json === quoteJson && latest.items_json === itemsJson) {
+      return currentRevisionNo;
+    }
+  }
+
+  const revisionNo = currentRevisionNo + 1;
+  await connection.query(
+    `INSERT INTO quote_revisions
+      (quote_id, revision_no, quote_json, items_json, subtotal, total)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      quoteId,
+      revisionNo,
+      quoteJson,
+      itemsJson,
+      quoteRow.subtotal,
+      quoteRow.total
+    ]
+  );
+  await connection.query('UPDATE quotes SET revision_no = ? WHERE id = ?', [revisionNo, quoteId]);
+
+  return revisionNo;
+}
+
+function formatQuoteRevisionLabel(quoteNo, revisionNo) {
+  const base = text(quoteNo).trim();
+  if (!revisionNo) {
+    return base;
+  }
+  return base ? `${base} R${revisionNo}` : `R${revisionNo}`;
+}
+
+// Last ten digits, so "+91 98250 12345" and "098250 12345" land on the same customer.
+function normalizePhoneKey(phone) {
+  const digits = text(phone).replace(/\D/g, '');
+  if (digits.length < 6) {
+    return null;
+  }
+  return digits.slice(-10);
+}
+
+async function findMatchingCustomer(connection, { customerId, name, address, gstin, phoneKey }) {
+  // GSTIN identifies the legal entity, so it wins over a picked or phone-matched customer.
+  if (gstin) {
+    const [[byGstin]] = await connection.query('SELECT * FROM customers WHERE gstin = ? FOR UPDATE', [gstin]);
+    if (byGstin) {
+      return byGstin;
+    }
+  }
+
+  if (customerId) {
+    const [[byId]] = await connection.query('SELECT * FROM customers WHERE id = ? FOR UPDATE', [customerId]);
+    if (byId && (!gstin || !byId.gstin)) {
+      return byId;
+    }
+  }
+
+  if (phoneKey) {
+    // A phone shared with a different GSTIN is a separate business, not a duplicate.
+    const [[byPhone]] = await connection.query(
+      'SELECT * FROM customers WHERE phone_key = ? AND (gstin IS NULL OR ? IS NULL) ORDER BY id LIMIT 1 FOR UPDATE',
+      [phoneKey, gstin]
+    );
+    if (byPhone) {
+      return byPhone;
+    }
+  }
+
+  if (!gstin && !phoneKey) {
+    const [[byName]] = await connection.query(
+      `SELECT * FROM customers
+       WHERE name = ? AND phone_key IS NULL AND gstin IS NULL AND COALESCE(address, '') = ?
+       ORDER BY id LIMIT 1 FOR UPDATE`,
+      [name, address || '']
+    );
+    if (byName) {
+      return byName;
+    }
+  }
+
+  return null;
+}
+
+async function upsertCustomer(connection, { customerId, name, phone, email, address, gstin }) {
+  // Legacy quotes hold free text such as "NA" or "URP" here; only a real GSTIN may
+  // match or merge customers, anything else stays on the quote alone.
+  const checkedGstin = validateGstin(gstin);
+  const details = {
+    name: text(name).trim(),
+    phone: text(phone).trim() || null,
+    email: text(email).trim() || null,
+    address: text(address).trim() || null,
+    gstin: checkedGstin.error ? null : checkedGstin.gstin || null
+  };
+  const phoneKey = normalizePhoneKey(details.phone);
+  const existing = await findMatchingCustomer(connection, {
+    customerId: Number(customerId || 0),
+    name: details.name,
+    address: details.address,
+    gstin: details.gstin,
+    phoneKey
+  });
+
+  if (!existing) {
+    const [result] = await connection.query(
+      'INSERT INTO customers (name, phone, phone_key, email, address, gstin) VALUES (?, ?, ?, ?, ?, ?)',
+      [details.name, details.phone, phoneKey, details.email, details.address, details.gstin]
+    );
+    return result.insertId;
+  }
+
+  // The latest quote carries the freshest details; blanks keep what is already on file.
+  await connection.query(
+    `UPDATE customers
+     SET name = ?, phone = COALESCE(?, phone), phone_key = COALESCE(?, phone_key), email = COALESCE(?, email),
+         address = COALESCE(?, address), gstin = COALESCE(?, gstin)
+     WHERE id = ?`,
+    [details.name, details.phone, phoneKey, details.email, details.address, details.gstin, existing.id]
+  );
+  return existing.id;
+}
+
+async function searchCustomers(search, { limit = 10 } = {}) {
+  const term = text(search).trim();
+  if (!term) {
+    return [];
+  }
+
+  const phoneKey = term.replace(/\D/g, '');
+  const [rows] = await pool.query(
+    `SELECT id, name, phone, email, address, gstin
+     FROM customers
+     WHERE name LIKE ? OR gstin LIKE ? OR (? <> '' AND phone_key LIKE ?)
+     ORDER BY name, id
+     LIMIT ?`,
+    [`%${term}%`, `${term.toUpperCase()}%`, phoneKey, `%${phoneKey}%`, limit]
+  );
+  return rows;
+}
+
+// Blank means "not given"; anything else must be a number in range.
+function readOptionalNumber(body, field, label, { integer = false, allowZero = false, max }, errors) {
+  const raw = text(body[field]).trim();
+  if (!raw) {
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0) || value > max
+    || (integer && !Number.isInteger(value))) {
+    errors[field] = `${label} must be ${integer ? 'a whole number' : 'a number'} between 0 and ${max}.`;
+    return null;
+  }
+  return integer ? value : round2(value);
+}
+
+// Sizing inputs are optional; a blank inverter means "pick the rating from kWp".
+function parseQuoteSizing(body) {
+  const errors = {};
+  const readNumber = (field, label, options) => readOptionalNumber(body, field, label, options, errors);
+
+  return {
+    systemKwp: readNumber('system_kwp', 'System size (kWp)', { max: 10000 }),
+    moduleWattage: readNumber('module_wattage', 'Module wattage', { integer: true, max: 1000 }),
+    inverterKw: readNumber('inverter_kw', 'Inverter rating', { max: 10000 }),
+    errors
+  };
+}
+
+// The roof allowance lives in the customer scope text ("@10 Sq.Mtr./KWp"), so
+// the calculator reads it from there instead of keeping a second copy.
+function getRoofAreaPerKwp() {
+  for (const row of customerScopeRows) {
+    const match = /@\s*(\d+(?:\.\d+)?)\s*sq\.?\s*m(?:tr|etre|eter)?\.?\s*\/\s*kwp/i.exec(text(row.description));
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return Number(sizingDefaults.roofAreaPerKwp) || 10;
+}
+
+function parseQuoteProjection(body) {
+  const errors = {};
+  const readNumber = (field, label, options) => readOptionalNumber(body, field, label, options, errors);
+
+  return {
+    specificYield: readNumber('projection_yield', 'Specific yield', { max: 3000 }),
+    tariff: readNumber('projection_tariff', 'Tariff per unit', { max: 100 }),
+    escalation: readNumber('projection_escalation', 'Tariff escalation', { allowZero: true, max: 25 }),
+    firstYearDegradation: readNumber('projection_first_year_degradation', 'First-year degradation', { allowZero: true, max: 10 }),
+    annualDegradation: readNumber('projection_annual_degradation', 'Annual degradation', { allowZero: true, max: 5 }),
+    errors
+  };
+}
+
+// Degradation defaults come from the module performance warranty text
+// ("<1.0% in first year <0.40% / year"), falling back to the projection config.
+function getProjectionDefaults() {
+  let firstYearDegradation = null;
+  let annualDegradation = null;
+  warrantyRows.forEach((row) => {
+    const remark = text(row.remark);
+    const firstYear = /(\d+(?:\.\d+)?)\s*%\s*in\s+(?:the\s+)?first\s+year/i.exec(remark);
+    const perYear = /(\d+(?:\.\d+)?)\s*%\s*\/\s*year/i.exec(remark);
+    if (firstYear && firstYearDegradation === null) {
+      firstYearDegradation = Number(firstYear[1]);
+    }
+    if (perYear && annualDegradation === null) {
+      annualDegradation = Number(perYear[1]);
+    }
+  });
+
+  return {
+    years: Number(projectionDefaults.years) || 25,
+    specificYield: Number(projectionDefaults.specificYieldKwhPerKwp) || 0,
+    specificYieldLabel: text(projectionDefaults.specificYieldLabel),
+    tariff: Number(projectionDefaults.tariffPerUnit) || 0,
+    escalation: Number(projectionDefaults.tariffEscalationPercent) || 0,
+    firstYearDegradation: firstYearDegradation ?? (Number(projectionDefaults.firstYearDegradationPercent) || 0),
+    annualDegradation: annualDegradation ?? (Number(projectionDefaults.annualDegradationPercent) || 0),
+    note: text(projectionDefaults.note)
+  };
+}
+
+// Year 1 already carries the first-year loss; later years lose the annual rate
+// on the previous year's output. Payback is against the cost after subsidy.
+function buildGenerationProjection(quote) {
+  const defaults = getProjectionDefaults();
+  const pick = (value, fallback) => (value === null || value === undefined || value === '' ? fallback : Number(value));
+  const kwp = Number(quote.system_kwp || 0);
+  const specificYield = pick(quote.projection_yield, defaults.specificYield);
+  const tariff = pick(quote.projection_tariff, defaults.tariff);
+  if (!(kwp > 0) || !(specificYield > 0) || !(tariff > 0)) {
+    return null;
+  }
+
+  const escalation = pick(quote.projection_escalation, defaults.escalation);
+  const firstYearDegradation = pick(quote.projection_first_year_degradation, defaults.firstYearDegradation);
+  const annualDegradation = pick(quote.projection_annual_degradation, defaults.annualDegradation);
+  const cost = round2(Math.max(Number(quote.total || 0) - Number(quote.subsidy_amount || 0), 0));
+
+  const years = [];
+  let generation = 0;
+  let cumulativeSavings = 0;
+  let paybackYear = null;
+  let paybackYears = null;
+  for (let year = 1; year <= defaults.years; year += 1) {
+    generation = year === 1
+      ? kwp * specificYield * (1 - firstYearDegradation / 100)
+      : generation * (1 - annualDegradation / 100);
+    const yearTariff = tariff * ((1 + escalation / 100) ** (year - 1));
+    const savings = generation * yearTariff;
+    const previousSavings = cumulativeSavings;
+    cumulativeSavings += savings;
+    if (paybackYear === null && cost > 0 && cumulativeSavings >= cost) {
+      paybackYear = year;
+      paybackYears = year - 1 + (cost - previousSavings) / savings;
+    }
+    years.push({ year, generation, tariff: yearTariff, savings, cumulativeSavings });
+  }
+
+  return {
+    kwp,
+    specificYield,
+    specificYieldLabel: specificYield === defaults.specificYield ? defaults.specificYieldLabel : '',
+    tariff,
+    escalation,
+    firstYearDegradation,
+    annualDegradation,
+    cost,
+    years,
+    totalGeneration: years.reduce((sum, row) => sum + row.generation, 0),
+    totalSavings: cumulativeSavings,
+    paybackYear,
+    paybackYears,
+    note: defaults.note
+  };
+}
+
+function buildProjectionSummaryRows(projection, labels = getPdfLabels('en')) {
+  const yearCount = projection.years.length;
+  const specificYield = fillLabel(labels.specificYieldValue, { yield: projection.specificYield });
+  return [
+    { label: labels.systemSize, value: `${projection.kwp} kWp` },
+    {
+      label: labels.specificYield,
+      value: `${specificYield}${projection.specificYieldLabel ? ` (${projection.specificYieldLabel})` : ''}`
+    },
+    {
+      label: labels.tariff,
+      value: fillLabel(labels.tariffValue, { tariff: formatCurrency(projection.tariff), escalation: projection.escalation })
+    },
+    {
+      label: labels.moduleDegradation,
+      value: fillLabel(labels.degradationValue, {
+        firstYear: projection.firstYearDegradation,
+        annual: projection.annualDegradation
+      })
+    },
+    { label: labels.costConsidered, value: formatCurrency(projection.cost) },
+    { label: fillLabel(labels.yearGeneration, { years: yearCount }), value: `${Math.round(projection.totalGeneration)} kWh` },
+    { label: fillLabel(labels.yearSavings, { years: yearCount }), value: formatCurrency(projection.totalSavings) },
+    {
+      label: labels.simplePayback,
+      value: projection.paybackYear
+        ? fillLabel(labels.paybackValue, { year: projection.paybackYear, years: projection.paybackYears.toFixed(1) })
+        : fillLabel(labels.paybackNone, { years: yearCount })
+    }
+  ];
+}
+
+function getSizingConfig() {
+  const numbers = (values) => (Array.isArray(values) ? values.map(Number).filter((value) => value > 0) : []);
+  return {
+    roofAreaPerKwp: getRoofAreaPerKwp(),
+    moduleWattages: numbers(sizingDefaults.moduleWattages),
+    defaultModuleWattage: Number(sizingDefaults.defaultModuleWattage) || 0,
+    inverterRatingsKw: numbers(sizingDefaults.inverterRatingsKw).sort((a, b) => a - b),
+    maxDcAcRatio: Number(sizingDefaults.maxDcAcRatio) || 1,
+    dcCableMetresPerKwp: Number(sizingDefaults.dcCableMetresPerKwp) || 0,
+    acCableMetres: Number(sizingDefaults.acCableMetres) || 0,
+    productHsn: sizingDefaults.productHsn || {}
+  };
+}
+
+// Slabs are cumulative: each pays perKw for the capacity between the previous
+// slab's uptoKw and its own, so the last slab's uptoKw is the capacity cap.
+function computeSlabSubsidy(slabs, capacityKw, maxAmount) {
+  let amount = 0;
+  let coveredKw = 0;
+  (Array.isArray(slabs) ? slabs : []).forEach((slab) => {
+    const uptoKw = Number(slab.uptoKw || 0);
+    const slabKw = Math.max(Math.min(capacityKw, uptoKw) - coveredKw, 0);
+    amount += slabKw * Number(slab.perKw || 0);
+    coveredKw = Math.max(coveredKw, uptoKw);
+  });
+  const cap = Number(maxAmount || 0);
+  return round2(cap > 0 ? Math.min(amount, cap) : amount);
+}
+
+function computeSubsidy({ capacityKw, category, stateCode }) {
+  const capacity = Number(capacityKw || 0);
+  const categoryConfig = subsidyCategories.find((entry) => entry.key === category);
+  if (!categoryConfig || !(capacity > 0)) {
+    return { central: 0, state: 0, total: 0 };
+  }
+
+  const central = computeSlabSubsidy(categoryConfig.slabs, capacity, categoryConfig.maxAmount);
+  const state = subsidyStateTopUps
+    .filter((topUp) => topUp.stateCode === stateCode
+      && (!Array.isArray(topUp.categories) || topUp.categories.includes(category)))
+    .reduce((sum, topUp) => round2(sum + computeSlabSubsidy(topUp.slabs, capacity, topUp.maxAmount)), 0);
+
+  return { central, state, total: round2(central + state) };
+}
+
+function getSubsidyOptions() {
+  return {
+    scheme: text(subsidyConfig.scheme),
+    categories: subsidyCategories.map((entry) => ({
+      key: entry.key,
+      label: entry.label || entry.key,
+      slabs: entry.slabs || [],
+      maxAmount: entry.maxAmount || 0
+    })),
+    stateTopUps: subsidyStateTopUps
+  };
+}
+
+async function saveQuote({ body, quoteId, user }) {
+  const gstinCheck = validateGstin(body.customer_gstin);
+  const customerGstin = gstinCheck.gstin || null;
+  const placeOfSupply = resolvePlaceOfSupply({
+    placeOfSupply: body.place_of_supply,
+    customerGstin
+  });
+  const interState = isInterStateSupply(placeOfSupply);
+  const lineItems = parseItems(body.items_json || '[]', { interState });
+  const proposalTemplateInput = text(body.proposal_template_id).trim();
+  const selectedTemplate = proposalTemplateInput ? findProposalTemplate(proposalTemplateInput) : null;
+  const proposalItems = parseProposalItems(
+    body.proposal_items_json || '[]',
+    body,
+    selectedTemplate ? selectedTemplate.rows.map(normalizeProposalTemplateRow) : getDefaultProposalItems()
+  );
+  const proposalItemsJson = JSON.stringify(proposalItems);
+  const sections = parseQuoteSectionsFromBody(body);
+  const discountType = text(body.discount_type).trim();
+  const discountInput = text(body.discount_value).trim();
+  const summary = buildQuoteSummary(lineItems, { discountType, discountValue: discountInput, interState });
+  const { items, subtotal, cgstTotal, sgstTotal, igstTotal, total } = summary;
+  const selectedBank = getSelectedBank(body.selected_bank_key);
+  const selectedBankKey = selectedBank ? selectedBank.key : null;
+
+  const quoteDate = body.quote_date || new Date().toISOString().slice(0, 10);
+  const validUntil = computeValidUntil(quoteDate);
+  const customerName = String(body.customer_name || '').trim();
+  const fieldErrors = {};
+
+  if (!customerName) {
+    fieldErrors.customer_name = 'Customer name is required.';
+  }
+  if (gstinCheck.error) {
+    fieldErrors.customer_gstin = gstinCheck.error;
+  }
+  if (!selectedBankKey) {
+    fieldErrors.selected_bank_key = 'Please select bank account details.';
+  }
+  const sizing = parseQuoteSizing(body);
+  Object.assign(fieldErrors, sizing.errors);
+  const subsidyCategory = text(body.subsidy_category).trim() || null;
+  if (subsidyCategory && !subsidyCategories.some((entry) => entry.key === subsidyCategory)) {
+    fieldErrors.subsidy_category = 'Please pick a customer category from the list.';
+  }
+  const subsidy = computeSubsidy({ capacityKw: sizing.systemKwp, category: subsidyCategory, stateCode: placeOfSupply });
+  const projection = parseQuoteProjection(body);
+  Object.assign(fieldErrors, projection.errors);
+  if (discountInput && (!Number.isFinite(Number(discountInput)) || Number(discountInput) < 0)) {
+    fieldErrors.discount_value = 'Discount must be a number of zero or more.';
+  } else if (discountType === 'percent' && Number(discountInput) > 100) {
+    fieldErrors.discount_value = 'A percentage discount cannot be more than 100%.';
+  } else if (discountType === 'flat' && Number(discountInput) > summary.netTotal) {
+    fieldErrors.discount_value = `A flat discount cannot be more than the amount after line discounts (${formatCurrency(summary.netTotal)}).`;
+  }
+  const language = text(body.language).trim() || 'en';
+  if (!quoteLanguages[language]) {
+    fieldErrors.language = 'Please pick a PDF language from the list.';
+  }
+  if (proposalTemplateInput && !selectedTemplate) {
+    fieldErrors.proposal_template_id = 'Please pick a proposal template from the list.';
+  }
+  quoteSections.forEach(({ key }) => {
+    const { title, fields } = companySettingSections[key];
+    sections[key].forEach((row, index) => {
+      fields.forEach(({ key: fieldKey, label, required }) => {
+        if (required && !row[fieldKey] && !fieldErrors[`quote_sections_${key}`]) {
+          fieldErrors[`quote_sections_${key}`] = `${title}: ${label} is required (row ${index + 1}).`;
+        }
+      });
+    });
+  });
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let finalQuoteId = Number(quoteId || 0);
+    let auditBefore = null;
+    const customerId = await upsertCustomer(connection, {
+      customerId: body.customer_id,
+      name: customerName,
+      phone: body.customer_phone,
+      email: body.customer_email,
+      address: body.customer_address,
+      gstin: customerGstin
+    });
+
+    if (!finalQuoteId) {
+      const quoteNo = await allocateDocumentNumber(connection, 'quote', quoteDate);
+      const [insertResult] = await connection.query(
+        `INSERT INTO quotes
+          (quote_no, quote_date, valid_until, customer_name, customer_phone, customer_email, customer_address, customer_gstin, customer_id, place_of_supply, selected_bank_key, proposal_items_json, system_kwp, module_wattage, inverter_kw, subsidy_category, subsidy_amount,
+           discount_type, discount_value, discount_amount, line_discount_total, projection_yield, projection_tariff, projection_escalation, projection_first_year_degradation, projection_annual_degradation,
+           language, proposal_template_id, other_charges_json, customer_scope_json, terms_json, warranty_json,
+           subtotal, cgst_total, sgst_total, igst_total, total, notes, created_by_user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          quoteNo,
+          quoteDate,
+          validUntil,
+          customerName,
+          body.customer_phone || null,
+          body.customer_email || null,
+          body.customer_address || null,
+          customerGstin,
+          customerId,
+          placeOfSupply || null,
+          selectedBankKey,
+          proposalItemsJson,
+          sizing.systemKwp,
+          sizing.moduleWattage,
+          sizing.inverterKw,
+          subsidyCategory,
+          subsidy.total,
+          summary.discountType,
+          summary.discountValue,
+          summary.quoteDiscount,
+          summary.lineDiscountTotal,
+          projection.specificYield,
+          projection.tariff,
+          projection.escalation,
+          projection.firstYearDegradation,
+          projection.annualDegradation,
+          language,
+          selectedTemplate ? selectedTemplate.id : null,
+          ...quoteSections.map(({ key }) => JSON.stringify(sections[key])),
+          subtotal,
+          cgstTotal,
+          sgstTotal,
+          igstTotal,
+          total,
+          body.notes || null,
+          user ? user.id : null
+        ]
+      );
+
+      finalQuoteId = insertResult.insertId;
+      await recordQuoteStatusChange(connection, {
+        quoteId: finalQuoteId,
+        fromStatus: null,
+        toStatus: 'draft',
+        changedBy: user && user.username
+      });
+    } else {
+      const [[existingQuote]] = await connection.query('SELECT id, quote_no, status FROM quotes WHERE id = ?', [finalQuoteId]);
+      if (!existingQuote) {
+        throw new Error('Quote not found.');
+      }
+      auditBefore = await loadQuoteAuditState(connection, finalQuoteId);
+
+      await connection.query(
+        `UPDATE quotes
+         SET quote_date = ?, valid_until = ?, customer_name = ?, customer_phone = ?, customer_email = ?, customer_address = ?, customer_gstin = ?,
+             customer_id = ?, place_of_supply = ?, selected_bank_key = ?, proposal_items_json = ?, system_kwp = ?, module_wattage = ?,
+             inverter_kw = ?, subsidy_category = ?, subsidy_amount = ?, discount_type = ?, discount_value = ?, discount_amount = ?,
+             line_discount_total = ?, projection_yield = ?, projection_tariff = ?, projection_escalation = ?,
+             projection_first_year_degradation = ?, projection_annual_degradation = ?, language = ?, proposal_template_id = ?,
+             other_charges_json = ?, customer_scope_json = ?, terms_json = ?, warranty_json = ?, subtotal = ?, cgst_total = ?,
+             sgst_total = ?, igst_total = ?, total = ?, notes = ?
+         WHERE id = ?`,
+        [
+          quoteDate,
+          validUntil,
+          customerName,
+          body.customer_phone || null,
+          body.customer_email || null,
+          body.customer_address || null,
+          customerGstin,
+          customerId,
+          placeOfSupply || null,
+          selectedBankKey,
+          proposalItemsJson,
+          sizing.systemKwp,
+          sizing.moduleWattage,
+          sizing.inverterKw,
+          subsidyCategory,
+          subsidy.total,
+          summary.discountType,
+          summary.discountValue,
+          summary.quoteDiscount,
+          summary.lineDiscountTotal,
+          projection.specificYield,
+          projection.tariff,
+          projection.escalation,
+          projection.firstYearDegradation,
+          projection.annualDegradation,
+          language,
+          selectedTemplate ? selectedTemplate.id : null,
+          ...quoteSections.map(({ key }) => JSON.stringify(sections[key])),
+          subtotal,
+          cgstTotal,
+          sgstTotal,
+          igstTotal,
+          total,
+          body.notes || null,
+          finalQuoteId
+        ]
+      );
+
+      if (!existingQuote.quote_no) {
+        const quoteNo = await allocateDocumentNumber(connection, 'quote', quoteDate);
+        await connection.query('UPDATE quotes SET quote_no = ? WHERE id = ?', [quoteNo, finalQuoteId]);
+      }
+
+      // Re-dating an expired quote brings it back as a draft.
+      if (existingQuote.status === 'expired' && validUntil >= formatDate(new Date())) {
+        await recordQuoteStatusChange(connection, {
+          quoteId: finalQuoteId,
+          fromStatus: 'expired',
+          toStatus: 'draft',
+          changedBy: user && user.username
+        });
+      }
+
+      await connection.query('DELETE FROM quote_items WHERE quote_id = ?', [finalQuoteId]);
+    }
+
+    for (const item of items) {
+      await connection.query(
+        `INSERT INTO quote_items
+          (quote_id, product_id, name, description, hsn, unit, qty, unit_price, gst_rate, discount_type, discount_value, discount_amount,
+           quote_discount, taxable, cgst, sgst, igst, total, kit_group, kit_name, kit_bundle)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          finalQuoteId,
+          item.product_id || null,
+          item.name,
+          item.description || null,
+          item.hsn || null,
+          item.unit || null,
+          item.qty,
+          item.unit_price,
+          item.gst_rate,
+          item.discount_type,
+          item.discount_value,
+          item.discount_amount,
+          item.quote_discount,
+          item.taxable,
+          item.cgst,
+          item.sgst,
+          item.igst,
+          item.total,
+          item.kit_name ? text(item.kit_group).slice(0, 40) || null : null,
+          item.kit_name ? text(item.kit_name).slice(0, 200) : null,
+          item.kit_name && item.kit_bundle ? 1 : 0
+        ]
+      );
+    }
+
+    const auditAfter = await loadQuoteAuditState(connection, finalQuoteId);
+    await writeAuditLog(connection, {
+      entityType: 'quote',
+      entityId: finalQuoteId,
+      action: auditBefore ? 'update' : 'create',
+      user,
+      ...buildQuoteAuditChanges(auditBefore, auditAfter)
+    });
+
+    await createQuoteRevision(connection, finalQuoteId);
+
+    await connection.commit();
+    return finalQuoteId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function loadQuote(quoteId) {
+  const [[quote]] = await pool.query('SELECT * FROM quotes WHERE id = ?', [quoteId]);
+  if (!quote) {
+    return null;
+  }
+
+  const [itemsRaw] = await pool.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
+  const items = itemsRaw.map((item) => ({
+    product_id: item.product_id,
+    name: item.name,
+    description: item.description,
+    hsn: item.hsn,
+    unit: item.unit,
+    qty: Number(item.qty || 0),
+    unit_price: Number(item.unit_price || 0),
+    gst_rate: Number(item.gst_rate || 0),
+    discount_type: item.discount_type || null,
+    discount_value: Number(item.discount_value || 0),
+    discount_amount: Number(item.discount_amount || 0),
+    quote_discount: Number(item.quote_discount || 0),
+    kit_group: item.kit_group,
+    kit_name: item.kit_name,
+    kit_bundle: Boolean(item.kit_bundle)
+  }));
+
+  const proposalItems = parseProposalItems(quote.proposal_items_json);
+  const derivedPlaceOfSupply = resolvePlaceOfSupply({ customerGstin: quote.customer_gstin });
+
+  return {
+    quote: {
+      ...quote,
+      quote_date_display: formatDate(quote.quote_date),
+      // Blank means "auto" in the form, so only keep a state that was picked by hand.
+      place_of_supply_choice: quote.place_of_supply && quote.place_of_supply !== derivedPlaceOfSupply
+        ? quote.place_of_supply
+        : ''
+    },
+    items,
+    proposalItems,
+    sections: parseQuoteSections(quote)
+  };
+}
+
+async function loadQuoteRevisions(quoteId) {
+  const [rows] = await pool.query(
+    `SELECT revision_no, subtotal, total, created_at
+     FROM quote_revisions
+     WHERE quote_id = ?
+     ORDER BY revision_no DESC`,
+    [quoteId]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    created_at_display: formatDateTime(row.created_at)
+  }));
+}
+
+async function loadQuoteRevision(quoteId, revisionNo) {
+  const [[row]] = await pool.query(
+    'SELECT * FROM quote_revisions WHERE quote_id = ? AND revision_no = ?',
+    [quoteId, revisionNo]
+  );
+  if (!row) {
+    return null;
+  }
+
+  const quote = {
+    // Revisions saved before quotes had a PDF language were printed in English.
+    language: 'en',
+    ...parseJson(row.quote_json, {}),
+    id: Number(quoteId),
+    revision_no: row.revision_no,
+    revision_created_at: row.created_at
+  };
+  const items = parseJson(row.items_json, []);
+
+  return {
+    quote,
+    items: Array.isArray(items) ? items : [],
+    proposalItems: parseProposalItems(quote.proposal_items_json),
+    sections: parseQuoteSections(quote)
+  };
+}
+
+const quoteRevisionDiffFields = [
+  ['quote_date', 'Quote Date'],
+  ['customer_name', 'Customer'],
+  ['customer_phone', 'Phone'],
+  ['customer_email', 'Email'],
+  ['customer_address', 'Address'],
+  ['customer_gstin', 'GSTIN'],
+  ['place_of_supply', 'Place of Supply'],
+  ['selected_bank_key', 'Bank Account'],
+  ['system_kwp', 'System Size (kWp)'],
+  ['subsidy_category', 'Subsidy Category'],
+  ['language', 'PDF Language'],
+  ['notes', 'Notes']
+];
+const quoteRevisionDiffTotals = [
+  ['subtotal', 'Subtotal'],
+  ['cgst_total', 'CGST'],
+  ['sgst_total', 'SGST'],
+  ['igst_total', 'IGST'],
+  ['total', 'Grand Total'],
+  ['line_discount_total', 'Line Discounts'],
+  ['discount_amount', 'Quote Discount'],
+  ['subsidy_amount', 'Estimated Subsidy']
+];
+const quoteRevisionDiffItemColumns = [
+  ['qty', 'Qty'],
+  ['unit_price', 'Rate'],
+  ['discount_amount', 'Discount'],
+  ['gst_rate', 'GST %'],
+  ['taxable', 'Taxable'],
+  ['total', 'Total']
+];
+
+// Lines are matched on product (or name for custom lines); repeated lines pair up in order.
+function keyQuoteRevisionItems(items) {
+  const seen = {};
+  return items.map((item) => {
+    const baseKey = item.product_id ? `product:${item.product_id}` : `name:${text(item.name).trim().toLowerCase()}`;
+    seen[baseKey] = (seen[baseKey] || 0) + 1;
+    return { key: `${baseKey}#${seen[baseKey]}`, item };
+  });
+}
+
+function buildQuoteRevisionDiff(fromRevision, toRevision) {
+  const fields = quoteRevisionDiffFields
+    .map(([key, label]) => ({ label, from: text(fromRevision.quote[key]), to: text(toRevision.quote[key]) }))
+    .filter((field) => field.from !== field.to);
+
+  const totals = quoteRevisionDiffTotals.map(([key, label]) => {
+    const from = Number(fromRevision.quote[key] || 0);
+    const to = Number(toRevision.quote[key] || 0);
+    return { label, from, to, delta: round2(to - from), changed: round2(to - from) !== 0 };
+  });
+
+  const fromItems = keyQuoteRevisionItems(fromRevision.items);
+  const toItems = keyQuoteRevisionItems(toRevision.items);
+  const fromByKey = new Map(fromItems.map((entry) => [entry.key, entry.item]));
+  const toKeys = new Set(toItems.map((entry) => entry.key));
+
+  const items = toItems.map(({ key, item }) => {
+    const previous = fromByKey.get(key);
+    if (!previous) {
+      return { status: 'added', name: item.name, from: null, to: item, changes: [] };
+    }
+
+    const changes = quoteRevisionDiffItemColumns
+      .filter(([column]) => round2(previous[column] || 0) !== round2(item[column] || 0))
+      .map(([column, label]) => ({ label, from: Number(previous[column] || 0), to: Number(item[column] || 0) }));
+
+    return { status: changes.length ? 'changed' : 'unchanged', name: item.name, from: previous, to: item, changes };
+  });
+
+  fromItems
+    .filter(({ key }) => !toKeys.has(key))
+    .forEach(({ item }) => {
+      items.push({ status: 'removed', name: item.name, from: item, to: null, changes: [] });
+    });
+
+  const proposalRowCount = Math.max(fromRevision.proposalItems.length, toRevision.proposalItems.length);
+  const proposalChanges = [];
+  for (let idx = 0; idx < proposalRowCount; idx += 1) {
+    const from = fromRevision.proposalItems[idx] || null;
+    const to = toRevision.proposalItems[idx] || null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      proposalChanges.push({ index: idx + 1, from, to });
+    }
+  }
+
+  const sectionChanges = quoteSections
+    .map(({ key, column }) => {
+      const { title, fields: sectionFields } = companySettingSections[key];
+      const fromRows = fromRevision.sections[key];
+      const toRows = toRevision.sections[key];
+      const changes = [];
+      for (let idx = 0; idx < Math.max(fromRows.length, toRows.length); idx += 1) {
+        const from = fromRows[idx] ? describeSettingRow(sectionFields, fromRows[idx]) : null;
+        const to = toRows[idx] ? describeSettingRow(sectionFields, toRows[idx]) : null;
+        if (from !== to) {
+          changes.push({ index: idx + 1, from, to });
+        }
+      }
+      return { key, column, title, changes };
+    })
+    .filter((section) => section.changes.length);
+
+  return { fields, totals, items, proposalChanges, sectionChanges };
+}
+
+const invoiceCopiedItemColumns = [
+  'product_id', 'name', 'description', 'hsn', 'unit', 'qty', 'unit_price', 'gst_rate', 'taxable', 'cgst', 'sgst', 'igst', 'total',
+  'discount_type', 'discount_value', 'discount_amount', 'quote_discount'
+];
+
+// Issues a tax invoice from an accepted quote. Header and lines are copied, not
+// referenced, so later quote edits never change an issued invoice.
+async function createInvoiceFromQuote({ quoteId, reverseCharge, user }) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [[quote]] = await connection.query('SELECT * FROM quotes WHERE id = ? FOR UPDATE', [quoteId]);
+    if (!quote) {
+      throw new Error('Quote not found.');
+    }
+    if (quote.status !== 'accepted') {
+      throw new Error('Only accepted quotes can be invoiced.');
+    }
+
+    const [[existingInvoice]] = await connection.query('SELECT id, invoice_no FROM invoices WHERE quote_id = ?', [quoteId]);
+    if (existingInvoice) {
+      throw new Error(`This quote is already invoiced as ${existingInvoice.invoice_no}.`);
+    }
+
+    const [quoteItems] = await connection.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
+    if (!quoteItems.length) {
+      throw new Error('The quote has no items to invoice.');
+    }
+
+    const invoiceDate = formatDate(new Date());
+    const invoiceNo = await allocateDocumentNumber(connection, 'invoice', invoiceDate);
+
+    const [insertResult] = await connection.query(
+      `INSERT INTO invoices
+        (invoice_no, invoice_date, quote_id, quote_no, quote_revision_no, customer_name, customer_phone, customer_email,
+         customer_address, customer_gstin, place_of_supply, reverse_charge, selected_bank_key, discount_type, discount_value,
+         discount_amount, line_discount_total, subtotal, cgst_total, sgst_total, igst_total, total, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        invoiceNo,
+        invoiceDate,
+        quote.id,
+        quote.quote_no,
+        quote.revision_no || null,
+        quote.customer_name,
+        quote.customer_phone,
+        quote.customer_email,
+        quote.customer_address,
+        quote.customer_gstin,
+        quote.place_of_supply || getCompanyStateCode() || null,
+        reverseCharge ? 1 : 0,
+        quote.selected_bank_key,
+        quote.discount_type || null,
+        quote.discount_value || 0,
+        quote.discount_amount || 0,
+        quote.line_discount_total || 0,
+        quote.subtotal,
+        quote.cgst_total,
+        quote.sgst_total,
+        quote.igst_total,
+        quote.total,
+        user ? user.username : null
+      ]
+    );
+
+    const invoiceId = insertResult.insertId;
+    for (const item of quoteItems) {
+      await connection.query(
+        `INSERT INTO invoice_items (invoice_id, ${invoiceCopiedItemColumns.join(', ')})
+         VALUES (?, ${invoiceCopiedItemColumns.map(() => '?').join(', ')})`,
+        [invoiceId, ...invoiceCopiedItemColumns.map((column) => item[column])]
+      );
+    }
+
+    await connection.commit();
+    return invoiceId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function loadInvoice(invoiceId) {
+  const [[invoice]] = await pool.query('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+  if (!invoice) {
+    return null;
+  }
+
+  const [items] = await pool.query('SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id', [invoiceId]);
+  return { invoice, items };
+}
+
+// One row per HSN code and rate, as the GST rules ask for on a tax invoice.
+function buildHsnSummary(items) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const hsn = text(item.hsn).trim() || '-';
+    const gstRate = Number(item.gst_rate || 0);
+    const key = `${hsn}|${gstRate}`;
+    const group = groups.get(key) || { hsn, gst_rate: gstRate, taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+    group.taxable += Number(item.taxable || 0);
+    group.cgst += Number(item.cgst || 0);
+    group.sgst += Number(item.sgst || 0);
+    group.igst += Number(item.igst || 0);
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map((group) => ({
+    hsn: group.hsn,
+    gst_rate: group.gst_rate,
+    taxable: round2(group.taxable),
+    cgst: round2(group.cgst),
+    sgst: round2(group.sgst),
+    igst: round2(group.igst),
+    tax_total: round2(group.cgst + group.sgst + group.igst)
+  }));
+}
+
+function drawTable(doc, {
+  title,
+  columns,
+  rows,
+  startY,
+  x = 40,
+  drawTitleOnNewPage = true,
+  keepTogether = false
+}) {
+  const totalWidth = columns.reduce((sum, col) => sum + col.width, 0);
+  const pageBottom = doc.page.height - doc.page.margins.bottom;
+  const titleHeight = title ? 24 : 0;
+  const headerHeight = 24;
+
+  let y = startY;
+
+  if (keepTogether) {
+    let estimatedHeight = title ? titleHeight : 0;
+    estimatedHeight += headerHeight;
+    rows.forEach((row) => {
+      const rowValues = columns.map((col) => text(row[col.key] || ''));
+      const rowHeight = Math.max(
+        24,
+        ...rowValues.map((value, idx) => {
+          const col = columns[idx];
+          const cellHeight = measurePdfText(doc, value, {
+            width: col.width - 8,
+            align: col.align || 'left'
+          });
+          return cellHeight + 8;
+        })
+      );
+      estimatedHeight += rowHeight;
+    });
+
+    if (y + estimatedHeight > pageBottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+  }
+
+  function drawTitleRow(textValue) {
+    doc.save();
+    doc.rect(x, y, totalWidth, titleHeight).fill('#ececec');
+    doc.restore();
+    doc.rect(x, y, totalWidth, titleHeight).stroke();
+    setPdfFont(doc, pdfFonts.bold).fontSize(12);
+    drawPdfText(doc, textValue, x, y + 6, { width: totalWidth, align: 'center' });
+    y += titleHeight;
+  }
+
+  function drawHeaderRow() {
+    doc.save();
+    doc.rect(x, y, totalWidth, headerHeight).fill('#f4f4f4');
+    doc.restore();
+    doc.rect(x, y, totalWidth, headerHeight).stroke();
+
+    let xCursor = x;
+    columns.forEach((col) => {
+      doc.rect(xCursor, y, col.width, headerHeight).stroke();
+      setPdfFont(doc, pdfFonts.bold).fontSize(10);
+      drawPdfText(doc, col.label, xCursor + 4, y + 6, {
+        width: col.width - 8,
+        align: col.align || 'left'
+      });
+      xCursor += col.width;
+    });
+
+    y += headerHeight;
+  }
+
+  if (title) {
+    if (y + titleHeight + headerHeight > pageBottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    drawTitleRow(title);
+  }
+
+  if (y + headerHeight > pageBottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+    if (title && drawTitleOnNewPage) {
+      drawTitleRow(title);
+    }
+  }
+  drawHeaderRow();
+
+  rows.forEach((row) => {
+    const rowValues = columns.map((col) => text(row[col.key] || ''));
+    const rowHeight = Math.max(
+      24,
+      ...rowValues.map((value, idx) => {
+        const col = columns[idx];
+        const cellHeight = measurePdfText(doc, value, {
+          width: col.width - 8,
+          align: col.align || 'left'
+        });
+        return cellHeight + 8;
+      })
+    );
+
+    if (y + rowHeight > pageBottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      if (title && drawTitleOnNewPage) {
+        drawTitleRow(title);
+      }
+      drawHeaderRow();
+    }
+
+    let xCursor = x;
+    columns.forEach((col, idx) => {
+      doc.rect(xCursor, y, col.width, rowHeight).stroke();
+      setPdfFont(doc, pdfFonts.regular).fontSize(10);
+      drawPdfText(doc, rowValues[idx], xCursor + 4, y + 4, {
+        width: col.width - 8,
+        align: col.align || 'left'
+      });
+      xCursor += col.width;
+    });
+
+    y += rowHeight;
+  });
+
+  return y;
+}
+
+function formatMoney(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// Indian digit grouping: the last three digits, then pairs (2,35,400.00).
+function formatIndianNumber(value) {
+  const fixed = Number(value || 0).toFixed(2);
+  const negative = fixed.startsWith('-') && Number(fixed) !== 0;
+  const [whole, fraction] = fixed.replace('-', '').split('.');
+  const lastThree = whole.slice(-3);
+  const rest = whole.slice(0, -3);
+  const grouped = rest ? `${rest.replace(/\B(?=(\d{2})+$)/g, ',')},${lastThree}` : lastThree;
+  return `${negative ? '-' : ''}${grouped}.${fraction}`;
+}
+
+function formatCurrency(value) {
+  const formatted = formatIndianNumber(value);
+  return formatted.startsWith('-') ? `-\u20b9${formatted.slice(1)}` : `\u20b9${formatted}`;
+}
+
+function getQuoteLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(quoteLanguages, language) ? language : 'en';
+}
+
+function getQuoteLanguageOptions() {
+  return Object.keys(quoteLanguages).map((value) => ({ value, label: quoteLanguages[value].name }));
+}
+
+// Labels missing from a translation fall back to English.
+function getPdfLabels(language) {
+  return { ...quoteLanguages.en.labels, ...quoteLanguages[getQuoteLanguage(language)].labels };
+}
+
+function fillLabel(template, values) {
+  return text(template).replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key])));
+}
+
+const numberWordsOnes = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const numberWordsTens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function twoDigitsToWords(value) {
+  if (value < 20) {
+    return numberWordsOnes[value];
+  }
+  const ones = value % 10;
+  return ones ? `${numberWordsTens[Math.floor(value / 10)]}-${numberWordsOnes[ones]}` : numberWordsTens[value / 10];
+}
+
+// Indian grouping: crore (10^7), lakh (10^5), thousand, then hundreds.
+function integerToIndianWords(value) {
+  if (value === 0) {
+    return 'Zero';
+  }
+
+  const parts = [];
+  const crore = Math.floor(value / 10000000);
+  const lakh = Math.floor((value % 10000000) / 100000);
+  const thousand = Math.floor((value % 100000) / 1000);
+  const hundred = Math.floor((value % 1000) / 100);
+  const rest = value % 100;
+
+  if (crore) parts.push(`${integerToIndianWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitsToWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitsToWords(thousand)} Thousand`);
+  if (hundred) parts.push(`${numberWordsOnes[hundred]} Hundred`);
+  if (rest) parts.push(twoDigitsToWords(rest));
+
+  return parts.join(' ');
+}
+
+function amountInWords(value) {
+  const totalPaise = Math.round(Math.abs(Number(value || 0)) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  let words = `Rupees ${integerToIndianWords(rupees)}`;
+  if (paise) {
+    words += ` and ${twoDigitsToWords(paise)} Paise`;
+  }
+  return `${words} Only`;
+}
+
+function buildQuoteTaxLines(quote, labels = getPdfLabels('en')) {
+  const interState = isInterStateSupply(quote.place_of_supply) || Number(quote.igst_total || 0) > 0;
+  const taxLines = interState
+    ? [[labels.igst, quote.igst_total]]
+    : [[labels.cgst, quote.cgst_total], [labels.sgst, quote.sgst_total]];
+
+  const lineDiscounts = Number(quote.line_discount_total || 0);
+  const quoteDiscount = Number(quote.discount_amount || 0);
+  const discountLines = [];
+  if (lineDiscounts > 0 || quoteDiscount > 0) {
+    discountLines.push([labels.totalMrp, round2(Number(quote.subtotal || 0) + lineDiscounts + quoteDiscount)]);
+    if (lineDiscounts > 0) {
+      discountLines.push([labels.lineDiscounts, -lineDiscounts]);
+    }
+    if (quoteDiscount > 0) {
+      const percent = quote.discount_type === 'percent' ? ` (${Number(quote.discount_value)}%)` : '';
+      discountLines.push([`${labels.quoteDiscount}${percent}`, -quoteDiscount]);
+    }
+  }
+
+  return [
+    ...discountLines,
+    [labels.subtotal, quote.subtotal],
+    ...taxLines,
+    [Number(quote.subsidy_amount || 0) > 0 ? labels.grossTotal : labels.grandTotal, quote.total]
+  ];
+}
+
+// Printed under the gross total only when the quote carries a subsidy.
+function buildQuoteSubsidyLines(quote, labels = getPdfLabels('en')) {
+  const subsidy = Number(quote.subsidy_amount || 0);
+  if (!(subsidy > 0)) {
+    return [];
+  }
+  return [
+    [labels.estimatedSubsidy, -subsidy],
+    [labels.netEffectiveCost, round2(Math.max(Number(quote.total || 0) - subsidy, 0))]
+  ];
+}
+
+// The fallback PDF only has the built-in Helvetica, which has no rupee glyph.
+function sanitizePdfLine(value) {
+  return String(value || '')
+    .replace(/\u20b9/g, 'Rs. ')
+    .replace(/\s+/g, ' ')
+    .replace(/[^\x20-\x7E]/g, ' ')
+    .trim();
+}
+
+function escapePdfText(value) {
+  return sanitizePdfLine(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+function wrapPdfLine(line, maxChars = 110) {
+  const clean = sanitizePdfLine(line);
+  if (!clean) {
+    return [''];
+  }
+
+  const words = clean.split(' ');
+  const out = [];
+  let current = '';
+
+  words.forEach((word) => {
+    if (!current) {
+      current = word;
+      return;
+    }
+
+    const candidate = `${current} ${word}`;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      return;
+    }
+
+    out.push(current);
+    current = word;
+  });
+
+  if (current) {
+    out.push(current);
+  }
+
+  return out.length ? out : [''];
+}
+
+// Kit lines marked for bundling print as one row priced at the sum of their
+// components; everything else prints line by line as before. The discount on a
+// row is its own discount plus its share of the quote discount.
+function buildQuotePdfLines(items) {
+  const lines = [];
+  const bundles = new Map();
+
+  items.forEach((item) => {
+    const bundleKey = item.kit_bundle && item.kit_group ? item.kit_group : '';
+    const grossAmount = round2(Number(item.qty || 0) * Number(item.unit_price || 0));
+    const discount = round2(Number(item.discount_amount || 0) + Number(item.quote_discount || 0));
+    if (!bundleKey) {
+      lines.push({
+        name: item.name,
+        hsn: item.hsn || '-',
+        qty: String(Number(item.qty || 0)),
+        rate: formatIndianNumber(item.unit_price),
+        mrp: formatIndianNumber(grossAmount),
+        discount,
+        net: formatIndianNumber(item.taxable),
+        gst: formatMoney(item.gst_rate),
+        total: Number(item.total || 0),
+        components: []
+      });
+      return;
+    }
+
+    if (!bundles.has(bundleKey)) {
+      const bundle = {
+        name: item.kit_name || 'Kit',
+        hsn: '-',
+        qty: '1',
+        gross: 0,
+        discount: 0,
+        taxable: 0,
+        total: 0,
+        rates: new Set(),
+        components: []
+      };
+      bundles.set(bundleKey, bundle);
+      lines.push(bundle);
+    }
+    const bundle = bundles.get(bundleKey);
+    bundle.gross = round2(bundle.gross + grossAmount);
+    bundle.discount = round2(bundle.discount + discount);
+    bundle.taxable = round2(bundle.taxable + Number(item.taxable || 0));
+    bundle.total = round2(bundle.total + Number(item.total || 0));
+    bundle.rates.add(Number(item.gst_rate || 0));
+    bundle.components.push(`${item.name}${item.hsn ? ` (HSN ${item.hsn})` : ''} x ${Number(item.qty || 0)}`);
+  });
+
+  return lines.map((line) => {
+    if (!line.rates) {
+      return line;
+    }
+    const rates = [...line.rates];
+    return {
+      name: line.name,
+      hsn: line.hsn,
+      qty: line.qty,
+      rate: formatIndianNumber(line.gross),
+      mrp: formatIndianNumber(line.gross),
+      discount: line.discount,
+      net: formatIndianNumber(line.taxable),
+      gst: rates.length === 1 ? formatMoney(rates[0]) : 'Mixed',
+      total: line.total,
+      components: line.components
+    };
+  });
+}
+
+function buildFallbackPdfLines({ quote, items, proposalItems, sections = parseQuoteSections(quote), selectedBank }) {
+  const lines = [];
+
+  lines.push(company.name || 'Quotation');
+  if (company.tagline) lines.push(company.tagline);
+  if (company.address) lines.push(company.address);
+  if (company.phone) lines.push(`Phone: ${company.phone}`);
+  if (company.email) lines.push(`Email: ${company.email}`);
+  if (company.gstin) lines.push(`GSTIN: ${company.gstin}`);
+
+  lines.push('');
+  lines.push('QUOTATION');
+  lines.push(`Quote No: ${formatQuoteRevisionLabel(quote.quote_no, quote.revision_no) || '-'}`);
+  lines.push(`Date: ${formatDate(quote.quote_date)}`);
+  lines.push(`Valid until: ${formatDate(quote.valid_until) || computeValidUntil(quote.quote_date) || '-'}`);
+  lines.push(`Customer: ${quote.customer_name || '-'}`);
+  lines.push(`Phone: ${quote.customer_phone || '-'}`);
+  lines.push(`Email: ${quote.customer_email || '-'}`);
+  lines.push(`Customer GSTIN: ${quote.customer_gstin || '-'}`);
+  lines.push(`Place of Supply: ${formatPlaceOfSupply(quote.place_of_supply)}`);
+  lines.push(`Address: ${quote.customer_address || '-'}`);
+
+  lines.push('');
+  lines.push('ITEMS');
+  buildQuotePdfLines(items).forEach((line, index) => {
+    const discountText = line.discount > 0
+      ? `MRP: ${line.mrp} | Discount: ${formatIndianNumber(line.discount)} | Net: ${line.net} | `
+      : '';
+    lines.push(
+      `${index + 1}. ${line.name || '-'} | HSN: ${line.hsn} | Qty: ${line.qty} | ` +
+      `Rate: ${line.rate} | ${discountText}GST: ${line.gst}${line.gst === 'Mixed' ? '' : '%'} | Total: ${formatIndianNumber(line.total)}`
+    );
+    line.components.forEach((component) => {
+      lines.push(`   - ${component}`);
+    });
+  });
+  const taxLines = buildQuoteTaxLines(quote);
+  taxLines.forEach(([label, value]) => {
+    lines.push(`${label}: ${formatCurrency(value)}`);
+  });
+  const subsidyLines = buildQuoteSubsidyLines(quote);
+  subsidyLines.forEach(([label, value]) => {
+    lines.push(`${label}: ${formatCurrency(value)}`);
+  });
+  if (subsidyLines.length && subsidyConfig.note) {
+    lines.push(`${subsidyConfig.scheme ? `${subsidyConfig.scheme}: ` : ''}${subsidyConfig.note}`);
+  }
+  const [grandTotalLabel, grandTotalValue] = taxLines[taxLines.length - 1];
+  lines.push(`${grandTotalLabel} in words: ${amountInWords(grandTotalValue)}`);
+
+  lines.push('');
+  lines.push('ITEMS CONSIDERED FOR PROPOSAL');
+  proposalItems.forEach((row) => {
+    lines.push(
+      `${row.sr_no || '-'} | ${row.description || '-'} | Unit: ${row.unit || '-'} | ` +
+      `Qty: ${row.qty || '-'} | Specification: ${row.specification || '-'} | Make: ${row.make || '-'}`
+    );
+  });
+
+  if (sections.estimatedOtherCharges.length) {
+    lines.push('');
+    lines.push('ESTIMATED OTHER CHARGES');
+    sections.estimatedOtherCharges.forEach((row) => {
+      lines.push(`${row.item || '-'} | ${row.remark || '-'}`);
+    });
+    if (company.estimatedOtherChargesFooter) {
+      lines.push(company.estimatedOtherChargesFooter);
+    }
+  }
+
+  if (sections.customerScope.length) {
+    lines.push('');
+    lines.push('SCOPE OF WORK');
+    sections.customerScope.forEach((row) => {
+      lines.push(`${row.sr_no || '-'} | ${row.description || '-'} | ${row.remark || '-'}`);
+    });
+  }
+
+  if (sections.termsConditions.length) {
+    lines.push('');
+    lines.push('TERMS & CONDITIONS');
+    buildTermsConditionRows(quote, sections.termsConditions).forEach((row) => {
+      lines.push(`${row.sr_no || '-'} | ${row.parameter || '-'} | ${row.remark || '-'}`);
+    });
+  }
+
+  if (sections.warranty.length) {
+    lines.push('');
+    lines.push('WARRANTEE');
+    sections.warranty.forEach((row) => {
+      lines.push(`${row.sr_no || '-'} | ${row.parameter || '-'} | ${row.remark || '-'}`);
+    });
+  }
+
+  if (selectedBank) {
+    lines.push('');
+    lines.push('BANK ACCOUNT DETAILS');
+    lines.push(`Account Holder: ${selectedBank.holderName || '-'}`);
+    lines.push(`Account Number: ${selectedBank.accountNumber || '-'}`);
+    lines.push(`Bank: ${selectedBank.bankName || selectedBank.label || '-'}`);
+    lines.push(`IFSC: ${selectedBank.ifsc || '-'}`);
+    if (selectedBank.branch) {
+      lines.push(`Branch: ${selectedBank.branch}`);
+    }
+  }
+
+  if (quote.notes) {
+    lines.push('');
+    lines.push(`Additional Note: ${quote.notes}`);
+  }
+
+  lines.push('');
+  lines.push(`FOR, ${company.name || 'New Bharat Enterprise'}`);
+  lines.push('(Stamp of Company)');
+  lines.push('Signatory Authorized');
+
+  const projection = buildGenerationProjection(quote);
+  if (projection) {
+    lines.push('');
+    lines.push('GENERATION & SAVINGS PROJECTION');
+    buildProjectionSummaryRows(projection).forEach((row) => {
+      lines.push(`${row.label}: ${row.value}`);
+    });
+    projection.years.forEach((row) => {
+      lines.push(
+        `Year ${row.year} | ${Math.round(row.generation)} kWh | Tariff: ${formatMoney(row.tariff)} | ` +
+        `Savings: ${formatIndianNumber(row.savings)} | Cumulative: ${formatIndianNumber(row.cumulativeSavings)}`
+      );
+    });
+    if (projection.note) {
+      lines.push(projection.note);
+    }
+  }
+
+  return lines.flatMap((line) => wrapPdfLine(line));
+}
+
+// Like the quote lines, the discount on a row is its own discount plus its
+// share of the quote discount, so MRP less discount is the taxable value.
+function buildInvoicePdfLines(items) {
+  return items.map((item) => ({
+    name: item.name,
+    unit: item.unit,
+    hsn: item.hsn || '-',
+    qty: String(Number(item.qty || 0)),
+    unit_price: Number(item.unit_price || 0),
+    mrp: round2(Number(item.qty || 0) * Number(item.unit_price || 0)),
+    discount: round2(Number(item.discount_amount || 0) + Number(item.quote_discount || 0)),
+    taxable: Number(item.taxable || 0),
+    gst_rate: Number(item.gst_rate || 0),
+    tax: round2(Number(item.cgst || 0) + Number(item.sgst || 0) + Number(item.igst || 0)),
+    total: Number(item.total || 0)
+  }));
+}
+
+function buildFallbackInvoicePdfLines({ invoice, items, selectedBank }) {
+  const lines = [];
+
+  lines.push(company.name || 'Tax Invoice');
+  if (company.address) lines.push(company.address);
+  if (company.gstin) lines.push(`GSTIN: ${company.gstin}`);
+
+  lines.push('');
+  lines.push('TAX INVOICE');
+  lines.push(`Invoice No: ${invoice.invoice_no}`);
+  lines.push(`Invoice Date: ${formatDate(invoice.invoice_date)}`);
+  lines.push(`Place of Supply: ${formatPlaceOfSupply(invoice.place_of_supply)}`);
+  lines.push(`Reverse Charge: ${invoice.reverse_charge ? 'Yes' : 'No'}`);
+  lines.push(`Against Quotation: ${formatQuoteRevisionLabel(invoice.quote_no, invoice.quote_revision_no) || '-'}`);
+  lines.push(`Customer: ${invoice.customer_name || '-'}`);
+  lines.push(`Customer GSTIN: ${invoice.customer_gstin || 'Unregistered'}`);
+  lines.push(`Address: ${invoice.customer_address || '-'}`);
+
+  lines.push('');
+  lines.push('ITEMS');
+  buildInvoicePdfLines(items).forEach((line, index) => {
+    const discountText = line.discount > 0
+      ? `MRP: ${formatIndianNumber(line.mrp)} | Discount: ${formatIndianNumber(line.discount)} | `
+      : '';
+    lines.push(
+      `${index + 1}. ${line.name || '-'} | HSN: ${line.hsn || '-'} | Qty: ${line.qty} | ` +
+      `Rate: ${formatIndianNumber(line.unit_price)} | ${discountText}Taxable: ${formatIndianNumber(line.taxable)} | ` +
+      `GST: ${formatMoney(line.gst_rate)}% | Total: ${formatIndianNumber(line.total)}`
+    );
+  });
+
+  lines.push('');
+  lines.push('HSN SUMMARY');
+  buildHsnSummary(items).forEach((row) => {
+    lines.push(
+      `${row.hsn} | Rate: ${formatMoney(row.gst_rate)}% | Taxable: ${formatIndianNumber(row.taxable)} | ` +
+      `CGST: ${formatIndianNumber(row.cgst)} | SGST: ${formatIndianNumber(row.sgst)} | IGST: ${formatIndianNumber(row.igst)}`
+    );
+  });
+
+  lines.push('');
+  buildQuoteTaxLines(invoice).forEach(([label, value]) => {
+    lines.push(`${label}: ${formatCurrency(value)}`);
+  });
+  lines.push(`Amount in words: ${amountInWords(invoice.total)}`);
+
+  if (selectedBank) {
+    lines.push('');
+    lines.push('BANK ACCOUNT DETAILS');
+    lines.push(`Account Holder: ${selectedBank.holderName || '-'}`);
+    lines.push(`Account Number: ${selectedBank.accountNumber || '-'}`);
+    lines.push(`Bank: ${selectedBank.bankName || selectedBank.label || '-'}`);
+    lines.push(`IFSC: ${selectedBank.ifsc || '-'}`);
+  }
+
+  lines.push('');
+  lines.push(`FOR, ${company.name || 'New Bharat Enterprise'}`);
+  lines.push('Signatory Authorized');
+
+  return lines.flatMap((line) => wrapPdfLine(line));
+}
+
+function createSimplePdfBuffer(lines) {
+  const pageWidth = 595;
+  const pageHeight = 842;
+  const startX = 40;
+  const startY = 800;
+  const bottomMargin = 40;
+  const lineHeight = 13;
+  const maxLinesPerPage = Math.max(1, Math.floor((startY - bottomMargin) / lineHeight));
+
+  const normalizedLines = Array.isArray(lines) && lines.length ? lines : ['Quotation'];
+  const pages = [];
+  for (let i = 0; i < normalizedLines.length; i += maxLinesPerPage) {
+    pages.push(normalizedLines.slice(i, i + maxLinesPerPage));
+  }
+
+  const objects = [];
+  const addObject = (content) => {
+    objects.push(content);
+    return objects.length;
+  };
+
+  const fontObjectId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pageObjectIds = [];
+
+  pages.forEach((pageLines) => {
+    const operations = ['BT', '/F1 10 Tf', `1 0 0 1 ${startX} ${startY} Tm`];
+
+    pageLines.forEach((line, idx) => {
+      operations.push(`(${escapePdfText(line)}) Tj`);
+      if (idx < pageLines.length - 1) {
+        operations.push(`0 -${lineHeight} Td`);
+      }
+    });
+
+    operations.push('ET');
+    const stream = operations.join('\n');
+    const contentObjectId = addObject(
+      `<< /Length ${Buffer.byteLength(stream, 'utf8')} >>\nstream\n${stream}\nendstream`
+    );
+
+    const pageObjectId = addObject(
+      `<< /Type /Page /Parent __PAGES_OBJECT__ 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      `/Resources << /Font << /F1 ${fontObjectId} 0 R >> >> /Contents ${contentObjectId} 0 R >>`
+    );
+    pageObjectIds.push(pageObjectId);
+  });
+
+  const pagesObjectId = addObject(
+    `<< /Type /Pages /Kids [${pageObjectIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageObjectIds.length} >>`
+  );
+
+  pageObjectIds.forEach((id) => {
+    objects[id - 1] = objects[id - 1].replace('__PAGES_OBJECT__', String(pagesObjectId));
+  });
+
+  const catalogObjectId = addObject(`<< /Type /Catalog /Pages ${pagesObjectId} 0 R >>`);
+
+  let pdf = '%PDF-1.4\n%1234\n';
+  const offsets = [0];
+  objects.forEach((objectContent, idx) => {
+    offsets.push(Buffer.byteLength(pdf, 'utf8'));
+    pdf += `${idx + 1} 0 obj\n${objectContent}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'utf8');
+  let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.slice(1).forEach((offset) => {
+    xref += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+
+  pdf += `${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogObjectId} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'utf8');
+}
+
+function isPdfkitFontDataError(error) {
+  const message = String(error && error.message ? error.message : error);
+  return message.includes('Helvetica.afm')
+    || (message.includes('/pdfkit/') && message.includes('/data/'))
+    || message.includes(pdfFontDir);
+}
+
+// PDFKit's built-in Helvetica has no rupee sign or Indian scripts, so PDFs
+// embed fonts from src/fonts: Mukta Vaani for Gujarati, Noto Sans Devanagari for
+// Hindi and DejaVu Sans Condensed for English. Noto Sans Gujarati is not used
+// because the fontkit bundled with PDFKit throws on its anusvara over a vowel
+// letter (e.g. "\u0A85\u0A82"). Each string is split into script runs and every
+// run is drawn in its own font, so a Gujarati name inside a Hindi PDF still gets
+// Gujarati glyphs. Digits, punctuation and Latin letters stay with
+// the run they sit in (all three fonts carry them), falling back to the font of
+// the document's language. Text goes through drawPdfText / measurePdfText, and
+// setPdfFont(doc, pdfFonts.regular | pdfFonts.bold) picks the weight they use.
+function splitPdfScriptRuns(value, baseScript) {
+  const runs = [];
+  for (const char of value) {
+    const script = Object.keys(pdfScriptPatterns).find((key) => pdfScriptPatterns[key].test(char));
+    const last = runs[runs.length - 1];
+    if (last && (!script || script === last.script)) {
+      last.text += char;
+    } else {
+      runs.push({ script: script || baseScript, text: char });
+    }
+  }
+  return runs;
+}
+
+// Script and weight of each open document, read by the PDF text helpers below.
+const pdfDocumentFonts = new WeakMap();
+
+function createPdfDocument(language = 'en') {
+  const baseScript = quoteLanguages[getQuoteLanguage(language)].script || 'latin';
+  const doc = new PDFDocument({ margin: 40, size: 'A4', font: path.join(pdfFontDir, pdfScriptFonts.latin.regular) });
+  Object.entries(pdfScriptFonts).forEach(([script, files]) => {
+    doc.registerFont(`${script}-regular`, path.join(pdfFontDir, files.regular));
+    doc.registerFont(`${script}-bold`, path.join(pdfFontDir, files.bold));
+  });
+  doc.registerFont(pdfFonts.regular, path.join(pdfFontDir, pdfScriptFonts[baseScript].regular));
+  doc.registerFont(pdfFonts.bold, path.join(pdfFontDir, pdfScriptFonts[baseScript].bold));
+  pdfDocumentFonts.set(doc, { baseScript, weight: 'regular' });
+  return doc.font(pdfFonts.regular);
+}
+
+function setPdfFont(doc, name) {
+  pdfDocumentFonts.get(doc).weight = name === pdfFonts.bold ? 'bold' : 'regular';
+  return doc.font(name);
+}
+
+function usePdfScriptFont(doc, script) {
+  return doc.font(`${script}-${pdfDocumentFonts.get(doc).weight}`);
+}
+
+// A mixed string is measured in each of its fonts and the tallest wins, so rows
+// sized with it never clip the text drawn into them.
+function measurePdfText(doc, value, options) {
+  const { baseScript, weight } = pdfDocumentFonts.get(doc);
+  const scripts = [...new Set(splitPdfScriptRuns(text(value), baseScript).map((run) => run.script))];
+  const height = Math.max(...(scripts.length ? scripts : [baseScript]).map((script) => {
+    usePdfScriptFont(doc, script);
+    return doc.heightOfString(value, options);
+  }));
+  doc.font(weight === 'bold' ? pdfFonts.bold : pdfFonts.regular);
+  return height;
+}
+
+// Takes the same arguments as doc.text: (value, options) or (value, x, y, options).
+function drawPdfText(doc, value, ...args) {
+  const { baseScript, weight } = pdfDocumentFonts.get(doc);
+  const runs = splitPdfScriptRuns(text(value), baseScript);
+  if (runs.length < 2) {
+    usePdfScriptFont(doc, runs.length ? runs[0].script : baseScript).text(value, ...args);
+    return doc.font(weight === 'bold' ? pdfFonts.bold : pdfFonts.regular);
+  }
+
+  const positioned = typeof args[0] === 'number';
+  const options = { ...((positioned ? args[2] : args[0]) || {}) };
+  let x = positioned ? args[0] : doc.x;
+  const y = positioned ? args[1] : doc.y;
+  // PDFKit aligns every continued fragment on its own, so centred or right-aligned
+  // text is placed by hand when it fits on one line and left-aligned otherwise.
+  if (options.align === 'center' || options.align === 'right') {
+    const width = options.width != null ? options.width : doc.page.width - doc.page.margins.right - x;
+    const textWidth = runs.reduce((sum, run) => sum + usePdfScriptFont(doc, run.script).widthOfString(run.text, options), 0);
+    const slack = textWidth < width ? width - textWidth : 0;
+    const offset = options.align === 'right' ? slack : slack / 2;
+    x += offset;
+    options.width = width - offset;
+    options.align = 'left';
+  }
+
+  // Each font has its own ascender, so the runs share the tallest one as a common baseline.
+  if (options.baseline == null) {
+    options.baseline = -Math.max(...runs.map((run) => {
+      const { ascender, descender } = pdfScriptFonts[run.script];
+      return usePdfScriptFont(doc, run.script).currentLineHeight() * ascender / (ascender - descender);
+    }));
+  }
+
+  const continued = options.continued === true;
+  runs.forEach((run, index) => {
+    const runOptions = { ...options, continued: index < runs.length - 1 || continued };
+    if (index === 0) {
+      usePdfScriptFont(doc, run.script).text(run.text, x, y, runOptions);
+    } else {
+      usePdfScriptFont(doc, run.script).text(run.text, runOptions);
+    }
+  });
+  return doc.font(weight === 'bold' ? pdfFonts.bold : pdfFonts.regular);
+}
+
+function getCompanyStampPath() {
+  const candidates = [
+    path.join(__dirname, 'public', 'stamp.png'),
+    path.join(__dirname, 'public', 'stamp.jpg'),
+    path.join(__dirname, 'public', 'stamp.jpeg'),
+    path.join(__dirname, 'public', 'company-stamp.png')
+  ];
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function drawSignatorySection(doc, startY, labels = getPdfLabels('en')) {
+  const sectionHeight = 178;
+  let y = startY;
+  const pageBottom = doc.page.height - doc.page.margins.bottom;
+  const sectionX = 330;
+  const sectionWidth = 220;
+  const sectionCenterX = sectionX + (sectionWidth / 2);
+  const stampWidth = 130;
+  const stampHeight = 96;
+
+  if (y + sectionHeight > pageBottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+
+  setPdfFont(doc, pdfFonts.bold).fontSize(11);
+  drawPdfText(doc, fillLabel(labels.signatoryFor, { company: company.name || 'New Bharat Enterprise' }), sectionX, y, {
+    width: sectionWidth,
+    align: 'center'
+  });
+
+  const stampPath = getCompanyStampPath();
+  const stampY = y + 20;
+  const stampX = Math.round(sectionCenterX - (stampWidth / 2));
+  const stampCaptionY = stampY + stampHeight + 6;
+  const signatoryY = stampCaptionY + 24;
+
+  if (stampPath) {
+    doc.image(stampPath, stampX, stampY, { fit: [stampWidth, stampHeight], align: 'center', valign: 'center' });
+    setPdfFont(doc, pdfFonts.regular).fontSize(10);
+    drawPdfText(doc, labels.companyStamp, sectionX, stampCaptionY, {
+      width: sectionWidth,
+      align: 'center'
+    });
+  } else {
+    setPdfFont(doc, pdfFonts.regular).fontSize(10);
+    drawPdfText(doc, labels.companyStamp, sectionX, y + 72, {
+      width: sectionWidth,
+      align: 'center'
+    });
+  }
+
+  setPdfFont(doc, pdfFonts.regular).fontSize(11);
+  drawPdfText(doc, labels.signatory, sectionX, signatoryY, {
+    width: sectionWidth,
+    align: 'center'
+  });
+
+  return y + sectionHeight;
+}
+
+function drawBankDetailsSection(doc, startY, selectedBank, labels = getPdfLabels('en')) {
+  if (!selectedBank) {
+    return startY;
+  }
+
+  let y = startY;
+  const x = 40;
+  const width = 515;
+  const titleHeight = 24;
+  const rowHeight = 22;
+  const rows = [
+    [labels.accountHolder, selectedBank.holderName || '-'],
+    [labels.accountNumber, selectedBank.accountNumber || '-'],
+    [labels.bank, selectedBank.bankName || selectedBank.label || '-'],
+    [labels.ifsc, selectedBank.ifsc || '-']
+  ];
+
+  if (selectedBank.branch) {
+    rows.push([labels.branch, selectedBank.branch]);
+  }
+
+  const estimatedHeight = titleHeight + (rows.length * rowHeight);
+  if (y + estimatedHeight > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+
+  doc.save();
+  doc.rect(x, y, width, titleHeight).fill('#ececec');
+  doc.restore();
+  doc.rect(x, y, width, titleHeight).stroke();
+  setPdfFont(doc, pdfFonts.bold).fontSize(12);
+  drawPdfText(doc, labels.bankTitle, x, y + 6, {
+    width,
+    align: 'center'
+  });
+  y += titleHeight;
+
+  rows.forEach(([label, value]) => {
+    doc.rect(x, y, 160, rowHeight).stroke();
+    doc.rect(x + 160, y, width - 160, rowHeight).stroke();
+    setPdfFont(doc, pdfFonts.bold).fontSize(10);
+    drawPdfText(doc, label, x + 6, y + 6, { width: 148 });
+    setPdfFont(doc, pdfFonts.regular).fontSize(10);
+    drawPdfText(doc, value, x + 166, y + 6, { width: width - 172 });
+    y += rowHeight;
+  });
+
+  return y;
+}
+
+function drawCompanyHeader(doc, labels = getPdfLabels('en')) {
+  const logoPath = path.join(__dirname, 'public', 'logo.png');
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 40, 40, { width: 120 });
+  }
+
+  doc.fontSize(18);
+  drawPdfText(doc, company.name, 180, 45);
+  doc.fontSize(10);
+  drawPdfText(doc, company.tagline || '', 180, 65);
+  drawPdfText(doc, company.address || '', 180, 80);
+  drawPdfText(doc, `${labels.phone}: ${company.phone || ''}`, 180, 95);
+  drawPdfText(doc, `${labels.email}: ${company.email || ''}`, 180, 110);
+  drawPdfText(doc, `${labels.gstin}: ${company.gstin || ''}`, 180, 125);
+}
+
+function generatePdfKitBuffer({ quote, items, proposalItems, sections = parseQuoteSections(quote), selectedBank, quoteId }) {
+  return new Promise((resolve, reject) => {
+    const language = getQuoteLanguage(quote.language);
+    const labels = getPdfLabels(language);
+    const doc = createPdfDocument(language);
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawCompanyHeader(doc, labels);
+
+      doc.moveDown(2);
+      doc.fontSize(16);
+      drawPdfText(doc, labels.quotation, { align: 'right' });
+      doc.fontSize(10);
+      drawPdfText(doc, `${labels.quoteNo}: ${formatQuoteRevisionLabel(quote.quote_no || `quote-${quoteId}`, quote.revision_no)}`, { align: 'right' });
+      drawPdfText(doc, `${labels.date}: ${formatDate(quote.quote_date)}`, { align: 'right' });
+      drawPdfText(doc, `${labels.validUntil}: ${formatDate(quote.valid_until) || computeValidUntil(quote.quote_date) || '-'}`, { align: 'right' });
+
+      doc.moveDown();
+      doc.fontSize(11);
+      drawPdfText(doc, `${labels.customer}: ${quote.customer_name}`);
+      drawPdfText(doc, `${labels.phone}: ${quote.customer_phone || '-'}`);
+      drawPdfText(doc, `${labels.email}: ${quote.customer_email || '-'}`);
+      drawPdfText(doc, `${labels.gstin}: ${quote.customer_gstin || '-'}`);
+      drawPdfText(doc, `${labels.placeOfSupply}: ${formatPlaceOfSupply(quote.place_of_supply)}`);
+      drawPdfText(doc, `${labels.address}: ${quote.customer_address || '-'}`);
+
+      doc.moveDown();
+
+      const tableTop = doc.y + 10;
+      const itemStartY = tableTop + 20;
+
+      const pdfLines = buildQuotePdfLines(items);
+      // Discounted quotes need MRP / discount / net columns, so the item and
+      // HSN columns narrow to make room.
+      const showDiscounts = pdfLines.some((line) => line.discount > 0);
+      const col = showDiscounts
+        ? { no: 40, name: 58, nameWidth: 112, hsn: 174, qty: 214, rate: 244, mrp: 296, discount: 352, net: 404, gst: 460, total: 490 }
+        : { no: 40, name: 70, nameWidth: 160, hsn: 240, qty: 300, rate: 340, gst: 400, total: 470 };
+      const totalWidth = 555 - col.total;
+
+      doc.fontSize(9);
+      drawPdfText(doc, labels.itemNo, col.no, tableTop);
+      drawPdfText(doc, labels.item, col.name, tableTop);
+      drawPdfText(doc, labels.hsn, col.hsn, tableTop);
+      drawPdfText(doc, labels.qty, col.qty, tableTop);
+      drawPdfText(doc, labels.rate, col.rate, tableTop);
+      if (showDiscounts) {
+        drawPdfText(doc, labels.mrp, col.mrp, tableTop);
+        drawPdfText(doc, labels.discount, col.discount, tableTop);
+        drawPdfText(doc, labels.net, col.net, tableTop);
+      }
+      drawPdfText(doc, labels.gstPercent, col.gst, tableTop);
+      drawPdfText(doc, labels.total, col.total, tableTop, { align: 'right', width: totalWidth });
+
+      doc.moveTo(40, tableTop + 12).lineTo(555, tableTop + 12).stroke();
+
+      let y = itemStartY;
+      pdfLines.forEach((line, index) => {
+        if (y + line.components.length * 11 > 700) {
+          doc.addPage();
+          y = 60;
+        }
+
+        doc.fontSize(showDiscounts ? 8 : 9);
+        drawPdfText(doc, String(index + 1), col.no, y);
+        drawPdfText(doc, line.name, col.name, y, { width: col.nameWidth });
+        drawPdfText(doc, line.hsn, col.hsn, y);
+        drawPdfText(doc, line.qty, col.qty, y);
+        drawPdfText(doc, line.rate, col.rate, y);
+        if (showDiscounts) {
+          drawPdfText(doc, line.mrp, col.mrp, y);
+          drawPdfText(doc, line.discount > 0 ? formatIndianNumber(line.discount) : '-', col.discount, y);
+          drawPdfText(doc, line.net, col.net, y);
+        }
+        drawPdfText(doc, line.gst, col.gst, y);
+        drawPdfText(doc, formatIndianNumber(line.total), col.total, y, { align: 'right', width: totalWidth });
+
+        y += 20;
+        line.components.forEach((component) => {
+          doc.fontSize(8).fillColor('#555555');
+          drawPdfText(doc, `- ${component}`, col.name + 8, y - 6, { width: 220 });
+          doc.fillColor('black');
+          y += 11;
+        });
+      });
+
+      const taxLines = buildQuoteTaxLines(quote, labels);
+      const grandTotalLine = taxLines.pop();
+      let totalsY = y + 10;
+      doc.fontSize(10);
+      taxLines.forEach(([label, value]) => {
+        drawPdfText(doc, `${label}: ${formatCurrency(value)}`, 350, totalsY, { align: 'right', width: 200 });
+        totalsY += 15;
+      });
+      doc.fontSize(12);
+      drawPdfText(doc, `${grandTotalLine[0]}: ${formatCurrency(grandTotalLine[1])}`, 350, totalsY + 5, { align: 'right', width: 200 });
+
+      const subsidyLines = buildQuoteSubsidyLines(quote, labels);
+      if (subsidyLines.length) {
+        const netCostLine = subsidyLines.pop();
+        totalsY += 5;
+        subsidyLines.forEach(([label, value]) => {
+          totalsY += 17;
+          doc.fontSize(10);
+          drawPdfText(doc, `${label}: ${formatCurrency(value)}`, 350, totalsY, { align: 'right', width: 200 });
+        });
+        totalsY += 17;
+        setPdfFont(doc, pdfFonts.bold);
+        doc.fontSize(12);
+        drawPdfText(doc, `${netCostLine[0]}: ${formatCurrency(netCostLine[1])}`, 350, totalsY, { align: 'right', width: 200 });
+        setPdfFont(doc, pdfFonts.regular);
+        if (subsidyConfig.note) {
+          totalsY += 18;
+          const note = `${subsidyConfig.scheme ? `${subsidyConfig.scheme}: ` : ''}${subsidyConfig.note}`;
+          doc.fontSize(8).fillColor('#555555');
+          drawPdfText(doc, note, 40, totalsY, { align: 'right', width: 515 });
+          doc.fillColor('black');
+          totalsY += measurePdfText(doc, note, { width: 515 }) - 10;
+        }
+      }
+
+      // The amount itself stays in English words for every language.
+      const totalInWords = amountInWords(grandTotalLine[1]);
+      totalsY += 24;
+      setPdfFont(doc, pdfFonts.bold).fontSize(10);
+      drawPdfText(doc, fillLabel(labels.inWords, { label: grandTotalLine[0] }), 40, totalsY);
+      setPdfFont(doc, pdfFonts.regular).fontSize(10);
+      drawPdfText(doc, totalInWords, 40, totalsY + 14, { width: 515 });
+      totalsY += measurePdfText(doc, totalInWords, { width: 515 }) - 12;
+
+      let sectionY = totalsY + 45;
+
+      sectionY = drawTable(doc, {
+        title: labels.proposalTitle,
+        startY: sectionY,
+        columns: [
+          { key: 'sr_no', label: labels.srNo, width: 40, align: 'center' },
+          { key: 'description', label: labels.description, width: 170 },
+          { key: 'unit', label: labels.unit, width: 60, align: 'center' },
+          { key: 'qty', label: labels.quantity, width: 70, align: 'center' },
+          { key: 'specification', label: labels.specification, width: 85, align: 'center' },
+          { key: 'make', label: labels.make, width: 90, align: 'center' }
+        ],
+        rows: proposalItems
+      }) + 12;
+
+      const estimatedRows = getQuoteSectionPdfRows(sections, 'estimatedOtherCharges', language).map((row) => ({
+        item: row.item,
+        remark: row.remark
+      }));
+
+      const footerTranslation = language === 'en'
+        ? null
+        : findSettingTranslation('estimatedOtherChargesFooter', language, { text: company.estimatedOtherChargesFooter });
+      const estimatedFooter = footerTranslation ? footerTranslation.text : company.estimatedOtherChargesFooter;
+      if (estimatedFooter) {
+        estimatedRows.push({
+          item: estimatedFooter,
+          remark: ''
+        });
+      }
+
+      if (estimatedRows.length) {
+        sectionY = drawTable(doc, {
+          title: labels.otherChargesTitle,
+          startY: sectionY,
+          columns: [
+            { key: 'item', label: labels.particulars, width: 375, align: 'center' },
+            { key: 'remark', label: labels.status, width: 140, align: 'center' }
+          ],
+          rows: estimatedRows
+        }) + 12;
+      }
+
+      const scopeRows = getQuoteSectionPdfRows(sections, 'customerScope', language);
+      if (scopeRows.length) {
+        sectionY = drawTable(doc, {
+          title: labels.scopeTitle,
+          startY: sectionY,
+          columns: [
+            { key: 'sr_no', label: labels.srNo, width: 45, align: 'center' },
+            { key: 'description', label: labels.description, width: 280 },
+            { key: 'remark', label: labels.customerScope, width: 190, align: 'center' }
+          ],
+          rows: scopeRows
+        }) + 12;
+      }
+
+      const termsRows = buildTermsConditionRows(quote, getQuoteSectionPdfRows(sections, 'termsConditions', language));
+      if (termsRows.length) {
+        sectionY = drawTable(doc, {
+          title: labels.termsTitle,
+          startY: sectionY,
+          columns: [
+            { key: 'sr_no', label: labels.srNo, width: 45, align: 'center' },
+            { key: 'parameter', label: labels.parameters, width: 240 },
+            { key: 'remark', label: labels.remarks, width: 230, align: 'center' }
+          ],
+          rows: termsRows
+        }) + 12;
+      }
+
+      const warrantyPdfRows = getQuoteSectionPdfRows(sections, 'warranty', language);
+      if (warrantyPdfRows.length) {
+        sectionY = drawTable(doc, {
+          title: labels.warrantyTitle,
+          startY: sectionY,
+          columns: [
+            { key: 'sr_no', label: labels.srNo, width: 45, align: 'center' },
+            { key: 'parameter', label: labels.parameters, width: 240 },
+            { key: 'remark', label: labels.remarks, width: 230, align: 'center' }
+          ],
+          rows: warrantyPdfRows,
+          keepTogether: true
+        }) + 10;
+      }
+
+      sectionY = drawBankDetailsSection(doc, sectionY, selectedBank, labels) + 12;
+
+      if (quote.notes) {
+        if (sectionY > doc.page.height - 100) {
+          doc.addPage();
+          sectionY = doc.page.margins.top;
+        }
+        setPdfFont(doc, pdfFonts.bold).fontSize(10);
+        drawPdfText(doc, labels.additionalNote, 40, sectionY);
+        setPdfFont(doc, pdfFonts.regular).fontSize(10);
+        drawPdfText(doc, quote.notes, 40, sectionY + 14, { width: 515 });
+        const noteHeight = measurePdfText(doc, quote.notes, { width: 515 });
+        sectionY += noteHeight + 28;
+      }
+
+      drawSignatorySection(doc, sectionY + 12, labels);
+
+      // The projection is an annexure on its own page, after the signed offer.
+      const projection = buildGenerationProjection(quote);
+      if (projection) {
+        doc.addPage();
+        let projectionY = drawTable(doc, {
+          title: labels.projectionTitle,
+          startY: doc.page.margins.top,
+          columns: [
+            { key: 'label', label: labels.particulars, width: 200 },
+            { key: 'value', label: labels.details, width: 315 }
+          ],
+          rows: buildProjectionSummaryRows(projection, labels)
+        }) + 12;
+
+        projectionY = drawTable(doc, {
+          title: fillLabel(labels.yearWiseTitle, { years: projection.years.length }),
+          startY: projectionY,
+          columns: [
+            { key: 'year', label: labels.year, width: 55, align: 'center' },
+            { key: 'generation', label: labels.generationKwh, width: 110, align: 'right' },
+            { key: 'tariff', label: labels.tariffPerUnit, width: 100, align: 'right' },
+            { key: 'savings', label: labels.savings, width: 115, align: 'right' },
+            { key: 'cumulative', label: labels.cumulative, width: 135, align: 'right' }
+          ],
+          rows: projection.years.map((row) => ({
+            year: row.year === projection.paybackYear ? `${row.year} *` : String(row.year),
+            generation: String(Math.round(row.generation)),
+            tariff: formatMoney(row.tariff),
+            savings: formatIndianNumber(row.savings),
+            cumulative: formatIndianNumber(row.cumulativeSavings)
+          }))
+        }) + 8;
+
+        const footnotes = [
+          projection.paybackYear ? labels.paybackFootnote : '',
+          projection.note
+        ].filter(Boolean).join(' ');
+        if (footnotes) {
+          if (projectionY > doc.page.height - doc.page.margins.bottom - 30) {
+            doc.addPage();
+            projectionY = doc.page.margins.top;
+          }
+          setPdfFont(doc, pdfFonts.regular).fontSize(8).fillColor('#555555');
+          drawPdfText(doc, footnotes, 40, projectionY, { width: 515 });
+          doc.fillColor('black');
+        }
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function generateInvoicePdfKitBuffer({ invoice, items, selectedBank }) {
+  return new Promise((resolve, reject) => {
+    const doc = createPdfDocument();
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawCompanyHeader(doc);
+
+      doc.moveDown(2);
+      doc.fontSize(16);
+      drawPdfText(doc, 'Tax Invoice', { align: 'right' });
+      doc.fontSize(10);
+      drawPdfText(doc, 'Original for Recipient', { align: 'right' });
+
+      const interState = isInterStateSupply(invoice.place_of_supply) || Number(invoice.igst_total || 0) > 0;
+      const money = (value) => formatIndianNumber(value);
+
+      let sectionY = drawTable(doc, {
+        title: 'Invoice Details',
+        startY: doc.y + 12,
+        columns: [
+          { key: 'label', label: 'Particulars', width: 160 },
+          { key: 'value', label: 'Details', width: 355 }
+        ],
+        rows: [
+          { label: 'Invoice No', value: invoice.invoice_no },
+          { label: 'Invoice Date', value: formatDate(invoice.invoice_date) },
+          { label: 'Place of Supply', value: formatPlaceOfSupply(invoice.place_of_supply) },
+          { label: 'Reverse Charge', value: invoice.reverse_charge ? 'Yes' : 'No' },
+          { label: 'Against Quotation', value: formatQuoteRevisionLabel(invoice.quote_no, invoice.quote_revision_no) || '-' }
+        ]
+      }) + 12;
+
+      const buyerGstin = validateGstin(invoice.customer_gstin);
+      sectionY = drawTable(doc, {
+        title: 'Details of Receiver (Billed To)',
+        startY: sectionY,
+        columns: [
+          { key: 'label', label: 'Particulars', width: 160 },
+          { key: 'value', label: 'Details', width: 355 }
+        ],
+        rows: [
+          { label: 'Name', value: invoice.customer_name },
+          { label: 'Address', value: invoice.customer_address || '-' },
+          { label: 'Phone', value: invoice.customer_phone || '-' },
+          { label: 'GSTIN', value: invoice.customer_gstin || 'Unregistered' },
+          { label: 'State', value: buyerGstin.stateName ? formatPlaceOfSupply(buyerGstin.stateCode) : formatPlaceOfSupply(invoice.place_of_supply) }
+        ]
+      }) + 12;
+
+      const invoiceLines = buildInvoicePdfLines(items);
+      const showDiscounts = invoiceLines.some((line) => line.discount > 0);
+      sectionY = drawTable(doc, {
+        title: 'Items',
+        startY: sectionY,
+        columns: showDiscounts
+          ? [
+            { key: 'sr_no', label: 'Sr.', width: 22, align: 'center' },
+            { key: 'name', label: 'Description', width: 70 },
+            { key: 'hsn', label: 'HSN', width: 36, align: 'center' },
+            { key: 'qty', label: 'Qty', width: 26, align: 'right' },
+            { key: 'unit_price', label: 'Rate', width: 50, align: 'right' },
+            { key: 'mrp', label: 'MRP', width: 58, align: 'right' },
+            { key: 'discount', label: 'Disc.', width: 54, align: 'right' },
+            { key: 'taxable', label: 'Taxable', width: 58, align: 'right' },
+            { key: 'gst_rate', label: 'GST%', width: 38, align: 'right' },
+            { key: 'tax', label: interState ? 'IGST' : 'GST', width: 46, align: 'right' },
+            { key: 'total', label: 'Total', width: 57, align: 'right' }
+          ]
+          : [
+            { key: 'sr_no', label: 'Sr.', width: 24, align: 'center' },
+            { key: 'name', label: 'Description', width: 94 },
+            { key: 'hsn', label: 'HSN', width: 44, align: 'center' },
+            { key: 'qty', label: 'Qty', width: 30, align: 'right' },
+            { key: 'unit_price', label: 'Rate', width: 70, align: 'right' },
+            { key: 'taxable', label: 'Taxable', width: 70, align: 'right' },
+            { key: 'gst_rate', label: 'GST%', width: 38, align: 'right' },
+            { key: 'tax', label: interState ? 'IGST' : 'CGST+ SGST', width: 72, align: 'right' },
+            { key: 'total', label: 'Total', width: 73, align: 'right' }
+          ],
+        rows: invoiceLines.map((line, index) => ({
+          sr_no: String(index + 1),
+          name: line.unit ? `${line.name} (${line.unit})` : line.name,
+          hsn: line.hsn,
+          qty: line.qty,
+          unit_price: money(line.unit_price),
+          mrp: money(line.mrp),
+          discount: line.discount > 0 ? money(line.discount) : '-',
+          taxable: money(line.taxable),
+          gst_rate: money(line.gst_rate),
+          tax: money(line.tax),
+          total: money(line.total)
+        }))
+      }) + 12;
+
+      const hsnColumns = interState
+        ? [
+          { key: 'hsn', label: 'HSN/SAC', width: 110, align: 'center' },
+          { key: 'gst_rate', label: 'Rate %', width: 65, align: 'right' },
+          { key: 'taxable', label: 'Taxable Value', width: 120, align: 'right' },
+          { key: 'igst', label: 'IGST', width: 110, align: 'right' },
+          { key: 'tax_total', label: 'Total Tax', width: 110, align: 'right' }
+        ]
+        : [
+          { key: 'hsn', label: 'HSN/SAC', width: 90, align: 'center' },
+          { key: 'gst_rate', label: 'Rate %', width: 55, align: 'right' },
+          { key: 'taxable', label: 'Taxable Value', width: 100, align: 'right' },
+          { key: 'cgst', label: 'CGST', width: 85, align: 'right' },
+          { key: 'sgst', label: 'SGST', width: 85, align: 'right' },
+          { key: 'tax_total', label: 'Total Tax', width: 100, align: 'right' }
+        ];
+
+      sectionY = drawTable(doc, {
+        title: 'HSN Summary',
+        startY: sectionY,
+        columns: hsnColumns,
+        rows: buildHsnSummary(items).map((row) => ({
+          hsn: row.hsn,
+          gst_rate: money(row.gst_rate),
+          taxable: money(row.taxable),
+          cgst: money(row.cgst),
+          sgst: money(row.sgst),
+          igst: money(row.igst),
+          tax_total: money(row.tax_total)
+        })),
+        keepTogether: true
+      }) + 12;
+
+      sectionY = drawTable(doc, {
+        startY: sectionY,
+        x: 295,
+        columns: [
+          { key: 'label', label: 'Summary', width: 120 },
+          { key: 'value', label: 'Amount', width: 140, align: 'right' }
+        ],
+        rows: buildQuoteTaxLines(invoice).map(([label, value]) => ({ label, value: formatCurrency(value) })),
+        keepTogether: true
+      }) + 10;
+
+      const words = amountInWords(invoice.total);
+      if (sectionY + 40 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        sectionY = doc.page.margins.top;
+      }
+      setPdfFont(doc, pdfFonts.bold).fontSize(10);
+      drawPdfText(doc, 'Amount in words:', 40, sectionY);
+      setPdfFont(doc, pdfFonts.regular).fontSize(10);
+      drawPdfText(doc, words, 40, sectionY + 14, { width: 515 });
+      sectionY += measurePdfText(doc, words, { width: 515 }) + 22;
+
+      if (invoice.reverse_charge) {
+        setPdfFont(doc, pdfFonts.regular).fontSize(9);
+        drawPdfText(doc, 'Tax on this invoice is payable by the recipient under reverse charge.', 40, sectionY, { width: 515 });
+        sectionY += 18;
+      }
+
+      sectionY = drawBankDetailsSection(doc, sectionY + 4, selectedBank) + 12;
+      drawSignatorySection(doc, sectionY + 12);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+async function sendPdf(res, { fileLabel, buildPdfKit, buildFallbackLines }) {
+  const fileName = `${text(fileLabel).replace(/[^A-Za-z0-9._-]+/g, '-')}.pdf`;
+  let pdfBuffer;
+  let pdfEngine = 'pdfkit';
+
+  try {
+    pdfBuffer = await buildPdfKit();
+  } catch (error) {
+    if (!isPdfkitFontDataError(error)) {
+      throw error;
+    }
+
+    console.warn('PDFKit font data missing, using basic PDF fallback:', error.message);
+    pdfEngine = 'basic-fallback';
+    pdfBuffer = createSimplePdfBuffer(buildFallbackLines());
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('X-PDF-Engine', pdfEngine);
+  res.send(pdfBuffer);
+}
+
+// Appends to product_price_history when price or GST differs from the latest
+// entry, so quotes can be checked against the price in force when they were made.
+async function recordProductPrice(executor, { productId, price, gstRate, user }) {
+  const [[latest]] = await executor.query(
+    'SELECT price, gst_rate FROM product_price_history WHERE product_id = ? ORDER BY effective_from DESC, id DESC LIMIT 1',
+    [productId]
+  );
+  if (latest && Number(latest.price) === Number(price) && Number(latest.gst_rate) === Number(gstRate)) {
+    return;
+  }
+
+  await executor.query(
+    `INSERT INTO product_price_history (product_id, price, gst_rate, effective_from, changed_by)
+     VALUES (?, ?, ?, NOW(), ?)`,
+    [productId, Number(price || 0), Number(gstRate || 0), user ? user.username : null]
+  );
+}
+
+async function loadProductPriceHistory(productId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM product_price_history WHERE product_id = ? ORDER BY effective_from DESC, id DESC',
+    [productId]
+  );
+  return rows.map((row) => ({
+    ...row,
+    effective_from_display: formatDateTime(row.effective_from)
+  }));
+}
+
+const openQuoteStatuses = ['draft', 'sent'];
+
+// Quote lines whose price or GST rate no longer matches the product master.
+// Without a quote id this covers every open (draft or sent) quote.
+async function loadStalePriceItems({ quoteId = null } = {}) {
+  const condition = quoteId ? 'q.id = ?' : 'q.status IN (?)';
+
+  const [rows] = await pool.query(
+    `SELECT q.id AS quote_id, q.quote_no, q.revision_no, q.quote_date, q.status, q.customer_name,
+            qi.id AS item_id, qi.product_id, qi.name, qi.qty, qi.unit_price, qi.gst_rate,
+            p.price AS current_price, p.gst_rate AS current_gst_rate,
+            (SELECT MAX(h.effective_from) FROM product_price_history h WHERE h.product_id = p.id) AS price_changed_at
+     FROM quote_items qi
+     JOIN quotes q ON q.id = qi.quote_id
+     JOIN products p ON p.id = qi.product_id
+     WHERE ${condition} AND (qi.unit_price <> p.price OR qi.gst_rate <> p.gst_rate)
+     ORDER BY q.id DESC, qi.id`,
+    [quoteId || openQuoteStatuses]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    unit_price: Number(row.unit_price || 0),
+    gst_rate: Number(row.gst_rate || 0),
+    current_price: Number(row.current_price || 0),
+    current_gst_rate: Number(row.current_gst_rate || 0),
+    taxable_change: round2(Number(row.qty || 0) * (Number(row.current_price || 0) - Number(row.unit_price || 0))),
+    price_changed_display: row.price_changed_at ? formatDateTime(row.price_changed_at) : ''
+  }));
+}
+
+const productCsvColumns = ['name', 'description', 'hsn', 'unit', 'price', 'gst_rate'];
+// Exported as "yes" for archived products. Clearing it on an archived product's
+// row is the only way an import restores it.
+const productCsvArchivedColumn = 'archived';
+const productCsvArchivedValues = { yes: true, y: true, true: true, 1: true, no: false, n: false, false: false, 0: false };
+const gstRateSlabs = [0, 0.1, 0.25, 1.5, 3, 5, 12, 18, 28];
+
+// Spreadsheets run a cell starting with =, +, - or @ as a formula, so such cells
+// get a leading ' (stripped again by readProductCsvRow).
+function escapeCsvValue(value) {
+  const cellValue = value === null || value === undefined ? '' : String(value);
+  const raw = /^[=+\-@]/.test(cellValue) ? `'${cellValue}` : cellValue;
+  return /[",\r\n]/.test(raw) ? `"${raw.replace(/"/g, '""')}"` : raw;
+}
+
+function buildProductsCsv(products) {
+  const lines = [[...productCsvColumns, productCsvArchivedColumn].join(',')];
+  products.forEach((product) => {
+    lines.push([...productCsvColumns.map((column) => {
+      const value = column === 'price' || column === 'gst_rate' ? Number(product[column] || 0).toFixed(2) : product[column];
+      return escapeCsvValue(value);
+    }), product.archived_at ? 'yes' : ''].join(','));
+  });
+  // The byte order mark makes Excel read the file as UTF-8; parseCsv drops it.
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks.
+// Each row keeps the line it started on so errors can point back to the file.
+function parseCsv(source) {
+  const input = text(source).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  return rows.filter((entry) => entry.cells.some((cell) => cell.trim()));
+}
+
+function parseCsvNumber(value) {
+  const cleaned = text(value).trim().replace(/,/g, '');
+  if (!cleaned || !/^-?\d+(\.\d+)?$/.test(cleaned)) {
+    return null;
+  }
+  return Number(cleaned);
+}
+
+function readProductCsvRow(cells, columnIndexes) {
+  const cell = (column) => (columnIndexes[column] === undefined
+    ? ''
+    : text(cells[columnIndexes[column]]).trim().replace(/^'(?=[=+\-@])/, ''));
+  const errors = [];
+  const price = parseCsvNumber(cell('price'));
+  const gstRate = parseCsvNumber(cell('gst_rate'));
+
+  if (!cell('name')) {
+    errors.push('Name is required.');
+  } else if (cell('name').length > 200) {
+    errors.push('Name is longer than 200 characters.');
+  }
+  if (price === null) {
+    errors.push(cell('price') ? `Price "${cell('price')}" is not a number.` : 'Price is required.');
+  } else if (price < 0) {
+    errors.push('Price cannot be negative.');
+  }
+  if (gstRate === null) {
+    errors.push(cell('gst_rate') ? `GST rate "${cell('gst_rate')}" is not a number.` : 'GST rate is required.');
+  } else if (!gstRateSlabs.includes(gstRate)) {
+    errors.push(`GST rate ${gstRate}% is not a GST slab (${gstRateSlabs.join(', ')}).`);
+  }
+
+  // Optional columns left out of the file stay undefined so updates keep them.
+  const optional = (column) => (columnIndexes[column] === undefined ? undefined : cell(column) || null);
+
+  const archivedCell = cell(productCsvArchivedColumn).toLowerCase();
+  let archived;
+  if (columnIndexes[productCsvArchivedColumn] !== undefined) {
+    archived = archivedCell ? productCsvArchivedValues[archivedCell] : false;
+    if (archived === undefined) {
+      errors.push(`Archived "${cell(productCsvArchivedColumn)}" must be yes or left blank.`);
+    }
+  }
+
+  return {
+    errors,
+    archived,
+    product: {
+      name: cell('name'),
+      description: optional('description'),
+      hsn: optional('hsn'),
+      unit: optional('unit'),
+      price: price === null ? 0 : Number(price.toFixed(2)),
+      gst_rate: gstRate === null ? 0 : gstRate
+    }
+  };
+}
+
+// Works out what an import would do without touching the database. Rows match
+// an existing product by name first, then by HSN when exactly one active product
+// has it. An archived product stays archived unless its row clears "archived".
+function buildProductImportPlan(csvText, existingProducts) {
+  const [header, ...dataRows] = parseCsv(csvText);
+  const plan = { error: '', rows: [], counts: { insert: 0, update: 0, unchanged: 0, invalid: 0 } };
+
+  if (!header) {
+    plan.error = 'The file is empty.';
+    return plan;
+  }
+
+  const columnIndexes = {};
+  header.cells.forEach((cell, index) => {
+    const column = cell.trim().toLowerCase().replace(/[\s%]+/g, '_').replace(/_+$/, '');
+    const key = column === 'gst' ? 'gst_rate' : column;
+    if ((productCsvColumns.includes(key) || key === productCsvArchivedColumn) && columnIndexes[key] === undefined) {
+      columnIndexes[key] = index;
+    }
+  });
+
+  const missing = ['name', 'price', 'gst_rate'].filter((column) => columnIndexes[column] === undefined);
+  if (missing.length) {
+    plan.error = `The header row must include ${productCsvColumns.join(', ')} (missing: ${missing.join(', ')}).`;
+    return plan;
+  }
+
+  const byName = new Map();
+  const byHsn = new Map();
+  existingProducts.forEach((product) => {
+    const name = text(product.name).trim().toLowerCase();
+    if (!byName.has(name) || (byName.get(name).archived_at && !product.archived_at)) {
+      byName.set(name, product);
+    }
+    const hsn = text(product.hsn).trim();
+    if (hsn && !product.archived_at) {
+      byHsn.set(hsn, [...(byHsn.get(hsn) || []), product]);
+    }
+  });
+  const claimed = new Map();
+
+  dataRows.forEach(({ line, cells }) => {
+    const { errors, archived, product: fromFile } = readProductCsvRow(cells, columnIndexes);
+    let product = fromFile;
+    let existing = byName.get(product.name.toLowerCase()) || null;
+    let matchedBy = existing ? 'name' : '';
+
+    if (!existing && product.hsn && !errors.length) {
+      const hsnMatches = byHsn.get(product.hsn) || [];
+      if (hsnMatches.length === 1) {
+        existing = hsnMatches[0];
+        matchedBy = 'HSN';
+      } else if (hsnMatches.length > 1) {
+        errors.push(`HSN ${product.hsn} matches ${hsnMatches.length} products; use the exact product name.`);
+      }
+    }
+
+    const claimKey = existing ? `id:${existing.id}` : `name:${product.name.toLowerCase()}`;
+    if (!errors.length && claimed.has(claimKey)) {
+      errors.push(`Same product as line ${claimed.get(claimKey)}.`);
+    }
+
+    if (archived && !errors.length && !(existing && existing.archived_at)) {
+      errors.push('Only an archived product can be marked archived; archive products from the product list.');
+    }
+
+    const isArchived = Boolean(existing && existing.archived_at);
+    const row = {
+      line,
+      product,
+      existing,
+      matchedBy,
+      errors,
+      changes: [],
+      restore: isArchived && archived === false,
+      staysArchived: isArchived && archived !== false
+    };
+    if (errors.length) {
+      row.action = 'invalid';
+    } else {
+      claimed.set(claimKey, line);
+      if (!existing) {
+        productCsvColumns.forEach((column) => {
+          if (product[column] === undefined) {
+            product[column] = null;
+          }
+        });
+        row.action = 'insert';
+      } else {
+        const current = Object.fromEntries(productCsvColumns.map((column) => [column, existing[column]]));
+        product = Object.fromEntries(productCsvColumns.map((column) => [
+          column,
+          product[column] === undefined ? current[column] : product[column]
+        ]));
+        row.product = product;
+        row.changes = buildAuditFieldChanges(current, product);
+        row.action = row.changes.length || row.restore ? 'update' : 'unchanged';
+      }
+    }
+
+    plan.counts[row.action] += 1;
+    plan.rows.push(row);
+  });
+
+  if (!plan.rows.length) {
+    plan.error = 'The file has a header row but no products.';
+  }
+
+  return plan;
+}
+
+async function applyProductImport(csvText, user) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Re-plan against locked rows so the result matches what was previewed
+    // unless someone edited the catalogue in between.
+    const [existingProducts] = await connection.query('SELECT * FROM products ORDER BY id FOR UPDATE');
+    const plan = buildProductImportPlan(csvText, existingProducts);
+    if (plan.error) {
+      throw new ValidationError({ csv_text: plan.error });
+    }
+
+    for (const row of plan.rows) {
+      const { product } = row;
+      const values = [product.name, product.description, product.hsn, product.unit, product.price, product.gst_rate];
+
+      if (row.action === 'insert') {
+        const [result] = await connection.query(
+          'INSERT INTO products (name, description, hsn, unit, price, gst_rate) VALUES (?, ?, ?, ?, ?, ?)',
+          values
+        );
+        await recordProductPrice(connection, {
+          productId: result.insertId,
+          price: product.price,
+          gstRate: product.gst_rate,
+          user
+        });
+        await writeAuditLog(connection, {
+          entityType: 'product',
+          entityId: result.insertId,
+          action: 'create',
+          user,
+          fields: buildAuditFieldChanges(null, product)
+        });
+      } else if (row.action === 'update') {
+        await connection.query(
+          `UPDATE products SET name = ?, description = ?, hsn = ?, unit = ?, price = ?, gst_rate = ?
+           ${row.restore ? ', archived_at = NULL, archived_by = NULL' : ''}
+           WHERE id = ?`,
+          [...values, row.existing.id]
+        );
+        if (row.changes.length) {
+          await recordProductPrice(connection, {
+            productId: row.existing.id,
+            price: product.price,
+            gstRate: product.gst_rate,
+            user
+          });
+          await writeAuditLog(connection, {
+            entityType: 'product',
+            entityId: row.existing.id,
+            action: 'update',
+            user,
+            fields: row.changes
+          });
+        }
+        if (row.restore) {
+          await writeAuditLog(connection, {
+            entityType: 'product',
+            entityId: row.existing.id,
+            action: 'restore',
+            user
+          });
+        }
+      }
+    }
+
+    await connection.commit();
+    return plan.counts;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Kits are saved bundles of products. Quotes copy the component lines, so
+// editing or deleting a kit never changes a saved quote.
+async function loadKits({ kitId = null } = {}) {
+  const [kitRows] = await pool.query(
+    `SELECT * FROM kits ${kitId ? 'WHERE id = ?' : ''} ORDER BY name`,
+    kitId ? [kitId] : []
+  );
+  if (!kitRows.length) {
+    return [];
+  }
+
+  const [itemRows] = await pool.query(
+    `SELECT ki.kit_id, ki.product_id, ki.qty, p.name AS product_name, p.hsn, p.unit, p.price, p.gst_rate,
+            p.archived_at IS NOT NULL AS archived
+     FROM kit_items ki
+     JOIN products p ON p.id = ki.product_id
+     WHERE ki.kit_id IN (?)
+     ORDER BY ki.sort_order, ki.id`,
+    [kitRows.map((kit) => kit.id)]
+  );
+
+  return kitRows.map((kit) => {
+    const items = itemRows
+      .filter((item) => item.kit_id === kit.id)
+      .map((item) => ({
+        ...item,
+        qty: Number(item.qty || 0),
+        price: Number(item.price || 0),
+        gst_rate: Number(item.gst_rate || 0),
+        archived: Boolean(item.archived)
+      }));
+    return {
+      ...kit,
+      show_as_bundle: Boolean(kit.show_as_bundle),
+      items,
+      taxable: round2(items.reduce((sum, item) => sum + item.qty * item.price, 0))
+    };
+  });
+}
+
+function parseKitForm(body) {
+  const rows = Array.isArray(body.components) ? body.components : Object.values(body.components || {});
+  const components = rows
+    .map((row) => ({ product_id: Number(row && row.product_id) || 0, qty: text(row && row.qty).trim() }))
+    .filter((row) => row.product_id || row.qty);
+
+  return {
+    name: text(body.name).trim(),
+    description: text(body.description).trim(),
+    showAsBundle: body.show_as_bundle === '1',
+    components
+  };
+}
+
+async function saveKit({ kitId = null, body, user }) {
+  const kit = parseKitForm(body);
+  const fieldErrors = {};
+
+  if (!kit.name) {
+    fieldErrors.name = 'Kit name is required.';
+  }
+
+  const productIds = kit.components.map((row) => row.product_id).filter(Boolean);
+  const [products] = productIds.length
+    ? await pool.query('SELECT id, name FROM products WHERE id IN (?) AND archived_at IS NULL', [productIds])
+    : [[]];
+  const productNames = new Map(products.map((product) => [product.id, product.name]));
+  const seen = new Set();
+
+  kit.components.forEach((row) => {
+    const qty = Number(row.qty);
+    if (!productNames.has(row.product_id)) {
+      fieldErrors.components = 'Pick an active product for every component row.';
+    } else if (seen.has(row.product_id)) {
+      fieldErrors.components = `${productNames.get(row.product_id)} is listed twice; use one row with the total quantity.`;
+    } else if (!row.qty || !Number.isFinite(qty) || qty <= 0) {
+      fieldErrors.components = `Enter a quantity above zero for ${productNames.get(row.product_id)}.`;
+    }
+    seen.add(row.product_id);
+  });
+  if (!kit.components.length && !fieldErrors.components) {
+    fieldErrors.components = 'Add at least one product to the kit.';
+  }
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const describeComponents = (rows) => rows
+    .map((row) => `${productNames.get(row.product_id) || row.product_name} x ${Number(row.qty)}`)
+    .join(', ');
+  const after = {
+    name: kit.name,
+    description: kit.description || null,
+    show_as_bundle: kit.showAsBundle ? 1 : 0,
+    components: describeComponents(kit.components)
+  };
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let before = null;
+    let finalKitId = Number(kitId || 0);
+    if (finalKitId) {
+      const [existing] = await loadKits({ kitId: finalKitId });
+      if (!existing) {
+        throw new Error('Kit not found.');
+      }
+      before = {
+        name: existing.name,
+        description: existing.description,
+        show_as_bundle: existing.show_as_bundle ? 1 : 0,
+        components: describeComponents(existing.items)
+      };
+      await connection.query(
+        'UPDATE kits SET name = ?, description = ?, show_as_bundle = ? WHERE id = ?',
+        [after.name, after.description, after.show_as_bundle, finalKitId]
+      );
+      await connection.query('DELETE FROM kit_items WHERE kit_id = ?', [finalKitId]);
+    } else {
+      const [result] = await connection.query(
+        'INSERT INTO kits (name, description, show_as_bundle) VALUES (?, ?, ?)',
+        [after.name, after.description, after.show_as_bundle]
+      );
+      finalKitId = result.insertId;
+    }
+
+    for (const [index, row] of kit.components.entries()) {
+      await connection.query(
+        'INSERT INTO kit_items (kit_id, product_id, qty, sort_order) VALUES (?, ?, ?, ?)',
+        [finalKitId, row.product_id, Number(row.qty), index]
+      );
+    }
+
+    await writeAuditLog(connection, {
+      entityType: 'kit',
+      entityId: finalKitId,
+      action: before ? 'update' : 'create',
+      user,
+      fields: buildAuditFieldChanges(before, after)
+    });
+
+    await connection.commit();
+    return finalKitId;
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ValidationError({ name: `A kit named "${kit.name}" already exists.` });
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Company profile, bank accounts and the PDF tables live in the database so an
+// admin can edit them without touching company.json or restarting. Section rows
+// keep the company.json shape, so the PDF and form code read them unchanged.
+const companyProfileFields = [
+  { key: 'name', label: 'Company Name', required: true },
+  { key: 'tagline', label: 'Tagline' },
+  { key: 'address', label: 'Address', multiline: true },
+  { key: 'phone', label: 'Phone' },
+  { key: 'email', label: 'Email' },
+  { key: 'gstin', label: 'GSTIN' },
+  { key: 'estimatedOtherChargesFooter', label: 'Other Charges Footer Line' }
+];
+const companySettingSections = {
+  bankAccounts: {
+    title: 'Bank Accounts',
+    fields: [
+      { key: 'key', label: 'Key', required: true },
+      { key: 'label', label: 'Label', required: true },
+      { key: 'holderName', label: 'Account Holder' },
+      { key: 'accountNumber', label: 'Account Number', required: true },
+      { key: 'bankName', label: 'Bank' },
+      { key: 'ifsc', label: 'IFSC' },
+      { key: 'branch', label: 'Branch' }
+    ]
+  },
+  estimatedOtherCharges: {
+    title: 'Estimated Other Charges',
+    fields: [
+      { key: 'item', label: 'Particulars', required: true },
+      { key: 'remark', label: 'Status' }
+    ]
+  },
+  customerScope: {
+    title: 'Scope Of Work',
+    fields: [
+      { key: 'sr_no', label: 'Sr.no' },
+      { key: 'description', label: 'Description', required: true, multiline: true },
+      { key: 'remark', label: 'Customer Scope' }
+    ]
+  },
+  termsConditions: {
+    title: 'Terms & Conditions',
+    fields: [
+      { key: 'sr_no', label: 'Sr.no' },
+      { key: 'parameter', label: 'Parameters', required: true },
+      { key: 'remark', label: 'Remarks', multiline: true }
+    ]
+  },
+  warranty: {
+    title: 'Warrantee',
+    fields: [
+      { key: 'sr_no', label: 'Sr.no' },
+      { key: 'parameter', label: 'Parameters', required: true },
+      { key: 'remark', label: 'Remarks', multiline: true }
+    ]
+  }
+};
+// Proposal templates are named sets of "Items Considered for Proposal" rows,
+// picked per quote; they are saved through the same revision as the settings.
+const proposalTemplateFields = [
+  { key: 'sr_no', label: 'Sr.no' },
+  { key: 'description', label: 'Description', required: true, multiline: true },
+  { key: 'unit', label: 'Unit' },
+  { key: 'qty', label: 'Qty.' },
+  { key: 'specification', label: 'Specification' },
+  { key: 'make', label: 'Make' }
+];
+const companySettingsRevisionKey = 'settings_revision';
+const companyTranslationsImportedKey = 'translations_imported';
+const bankKeyPattern = /^[a-z0-9-]{1,40}$/;
+let loadedCompanySettingsRevision = null;
+
+function applyCompanySettings({ profile, sections, templates, translations }) {
+  companyProfileFields.forEach(({ key }) => {
+    if (hasOwn(profile, key)) {
+      company[key] = profile[key];
+    }
+  });
+  Object.keys(companySettingSections).forEach((section) => {
+    company[section] = sections[section] || [];
+  });
+
+  proposalTemplates = templates;
+  proposalTemplate = templates.length ? templates[0].rows : [];
+  settingTranslations = translations;
+  bankAccounts = company.bankAccounts;
+  estimatedOtherCharges = company.estimatedOtherCharges;
+  customerScopeRows = company.customerScope;
+  termsConditions = company.termsConditions;
+  warrantyRows = company.warranty;
+}
+
+async function loadCompanySettings(executor = pool) {
+  const [settingRows] = await executor.query('SELECT setting_key, setting_value FROM company_settings');
+  const [sectionRows] = await executor.query(
+    'SELECT id, section, row_json FROM company_setting_rows ORDER BY section, sort_order, id'
+  );
+  const [templateRows] = await executor.query(
+    'SELECT id, name, rows_json FROM proposal_templates ORDER BY sort_order, id'
+  );
+  const [translationRows] = await executor.query(
+    'SELECT section, language, source_key, row_json FROM company_setting_translations'
+  );
+
+  const profile = {};
+  let revision = null;
+  settingRows.forEach((row) => {
+    if (row.setting_key === companySettingsRevisionKey) {
+      revision = row.setting_value;
+    } else if (row.setting_key !== companyTranslationsImportedKey) {
+      profile[row.setting_key] = text(row.setting_value);
+    }
+  });
+
+  const sections = {};
+  Object.keys(companySettingSections).forEach((section) => {
+    sections[section] = [];
+  });
+  sectionRows.forEach((row) => {
+    if (sections[row.section]) {
+      sections[row.section].push(parseJson(row.row_json, {}));
+    }
+  });
+
+  const templates = templateRows.map((row) => {
+    const rows = parseJson(row.rows_json, []);
+    return { id: row.id, name: row.name, rows: Array.isArray(rows) ? rows : [] };
+  });
+
+  const translations = new Map(translationRows.map((row) => [
+    `${row.section}|${row.language}|${row.source_key}`,
+    parseJson(row.row_json, {})
+  ]));
+
+  return { revision, profile, sections, templates, translations };
+}
+
+// Every save bumps the revision, so each app process (cPanel may run several)
+// reloads on its next request instead of waiting for a restart.
+async function refreshCompanySettings() {
+  const [[row]] = await pool.query('SELECT setting_value FROM company_settings WHERE setting_key = ?', [
+    companySettingsRevisionKey
+  ]);
+  if (!row || row.setting_value === loadedCompanySettingsRevision) {
+    return;
+  }
+
+  const settings = await loadCompanySettings();
+  applyCompanySettings(settings);
+  loadedCompanySettingsRevision = settings.revision;
+}
+
+async function insertCompanySettingRows(connection, section, rows) {
+  for (const [index, row] of rows.entries()) {
+    await connection.query(
+      'INSERT INTO company_setting_rows (section, sort_order, row_json) VALUES (?, ?, ?)',
+      [section, index, JSON.stringify(row)]
+    );
+  }
+}
+
+// First run copies company.json into the tables. The revision row is written
+// first so a second process starting at the same time backs off.
+async function importCompanySettings() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query('INSERT INTO company_settings (setting_key, setting_value) VALUES (?, ?)', [
+      companySettingsRevisionKey,
+      '1'
+    ]);
+    for (const { key } of companyProfileFields) {
+      await connection.query('INSERT INTO company_settings (setting_key, setting_value) VALUES (?, ?)', [
+        key,
+        text(company[key])
+      ]);
+    }
+    for (const section of Object.keys(companySettingSections)) {
+      const rows = Array.isArray(company[section]) ? company[section] : [];
+      const fields = companySettingSections[section].fields;
+      const normalized = section === 'bankAccounts' ? getConfiguredBankAccounts() : rows;
+      await insertCompanySettingRows(
+        connection,
+        section,
+        normalized.map((row) => Object.fromEntries(fields.map(({ key }) => [key, text(row[key])])))
+      );
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+function describeSettingRow(fields, row) {
+  return fields
+    .map(({ key }) => text(row[key]).replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' | ');
+}
+
+// Rows come back in "Position" order; blank rows and rows ticked for removal
+// are dropped.
+function parseSettingRows(fields, body) {
+  const submitted = Array.isArray(body.rows) ? body.rows : Object.values(body.rows || {});
+
+  return submitted
+    .map((row, index) => {
+      const values = Object.fromEntries(fields.map(({ key, multiline }) => {
+        const value = text(row && row[key]).replace(/\r\n/g, '\n');
+        return [key, multiline ? value.trim() : value.replace(/\s+/g, ' ').trim()];
+      }));
+      const position = Number(row && row.position);
+      return {
+        values,
+        remove: Boolean(row && row.remove === '1'),
+        position: text(row && row.position).trim() && Number.isFinite(position) ? position : index + 1,
+        index
+      };
+    })
+    .filter((row) => !row.remove && Object.values(row.values).some(Boolean))
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map((row) => row.values);
+}
+
+async function saveCompanyProfile({ body, user }) {
+  const profile = Object.fromEntries(companyProfileFields.map(({ key, multiline }) => {
+    const value = text(body[key]).replace(/\r\n/g, '\n');
+    return [key, multiline ? value.trim() : value.replace(/\s+/g, ' ').trim()];
+  }));
+  const fieldErrors = {};
+
+  companyProfileFields.forEach(({ key, label, required }) => {
+    if (required && !profile[key]) {
+      fieldErrors[key] = `${label} is required.`;
+    }
+  });
+  const gstinCheck = validateGstin(profile.gstin);
+  if (gstinCheck.error) {
+    fieldErrors.gstin = gstinCheck.error;
+  }
+  profile.gstin = gstinCheck.gstin;
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const before = Object.fromEntries(companyProfileFields.map(({ key }) => [key, text(company[key])]));
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    for (const { key } of companyProfileFields) {
+      await connection.query(
+        `INSERT INTO company_settings (setting_key, setting_value) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+        [key, profile[key]]
+      );
+    }
+    await bumpCompanySettingsRevision(connection);
+    await writeAuditLog(connection, {
+      entityType: 'settings',
+      entityId: 'profile',
+      action: 'update',
+      user,
+      fields: buildAuditFieldChanges(before, profile)
+    });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await refreshCompanySettings();
+}
+
+async function bumpCompanySettingsRevision(connection) {
+  await connection.query(
+    'UPDATE company_settings SET setting_value = CAST(setting_value AS UNSIGNED) + 1 WHERE setting_key = ?',
+    [companySettingsRevisionKey]
+  );
+}
+
+// Bank keys are stored on quotes and invoices, so a key still in use cannot be
+// renamed or removed.
+async function validateBankAccountRows(rows, fieldErrors) {
+  const seen = new Set();
+  rows.forEach((row) => {
+    if (row.key && !bankKeyPattern.test(row.key)) {
+      fieldErrors.rows = `Bank key "${row.key}" may only use lowercase letters, digits and hyphens.`;
+    } else if (seen.has(row.key)) {
+      fieldErrors.rows = `Bank key "${row.key}" is used twice.`;
+    }
+    seen.add(row.key);
+  });
+  if (!rows.length) {
+    fieldErrors.rows = 'Keep at least one bank account; every quote needs one.';
+  }
+
+  const removedKeys = getConfiguredBankAccounts().map((bank) => bank.key).filter((key) => !seen.has(key));
+  if (!removedKeys.length || fieldErrors.rows) {
+    return;
+  }
+  const [[usage]] = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM quotes WHERE selected_bank_key IN (?)) AS quote_count,
+       (SELECT COUNT(*) FROM invoices WHERE selected_bank_key IN (?)) AS invoice_count`,
+    [removedKeys, removedKeys]
+  );
+  const quoteCount = Number(usage.quote_count || 0);
+  const invoiceCount = Number(usage.invoice_count || 0);
+  if (quoteCount || invoiceCount) {
+    fieldErrors.rows = `Bank "${removedKeys.join('", "')}" is used by ${quoteCount} quote(s) and ${invoiceCount} invoice(s), so it cannot be removed.`;
+  }
+}
+
+async function saveCompanySettingSection({ section, body, user }) {
+  const rows = parseSettingRows(companySettingSections[section].fields, body);
+  const fieldErrors = {};
+
+  rows.forEach((row, index) => {
+    companySettingSections[section].fields.forEach(({ key, label, required }) => {
+      if (required && !row[key] && !fieldErrors.rows) {
+        fieldErrors.rows = `${label} is required (row ${index + 1}).`;
+      }
+    });
+  });
+  if (section === 'bankAccounts') {
+    await validateBankAccountRows(rows, fieldErrors);
+  }
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const before = Object.fromEntries((company[section] || []).map((row, index) => [
+    `Row ${index + 1}`,
+    describeSettingRow(companySettingSections[section].fields, row)
+  ]));
+  const after = Object.fromEntries(rows.map((row, index) => [
+    `Row ${index + 1}`,
+    describeSettingRow(companySettingSections[section].fields, row)
+  ]));
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM company_setting_rows WHERE section = ?', [section]);
+    await insertCompanySettingRows(connection, section, rows);
+    await bumpCompanySettingsRevision(connection);
+    await writeAuditLog(connection, {
+      entityType: 'settings',
+      entityId: section,
+      action: 'update',
+      user,
+      fields: buildAuditFieldChanges(before, after)
+    });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await refreshCompanySettings();
+}
+
+// Gujarati and Hindi copies of the PDF tables. Only the text fields are
+// translated; the serial number always comes from the English row.
+const translatedSettingSections = [...quoteSections.map(({ key }) => key), 'estimatedOtherChargesFooter'];
+
+function getTranslationLanguages() {
+  return Object.keys(quoteLanguages).filter((language) => language !== 'en');
+}
+
+function getTranslatedFields(section) {
+  return getSettingTranslationFields(section).filter((field) => field.key !== 'sr_no');
+}
+
+async function saveSettingTranslation(connection, { section, language, source, values }) {
+  const sourceKey = getSectionRowSourceKey(section, source);
+  if (!Object.values(values).some(Boolean)) {
+    await connection.query(
+      'DELETE FROM company_setting_translations WHERE section = ? AND language = ? AND source_key = ?',
+      [section, language, sourceKey]
+    );
+    return;
+  }
+
+  const sourceValues = Object.fromEntries(getSettingTranslationFields(section).map(({ key }) => [key, text(source[key])]));
+  await connection.query(
+    `INSERT INTO company_setting_translations (section, language, source_key, source_json, row_json)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE source_json = VALUES(source_json), row_json = VALUES(row_json)`,
+    [section, language, sourceKey, JSON.stringify(sourceValues), JSON.stringify(values)]
+  );
+}
+
+// First run copies company.json "translations" in, each row paired by position
+// with the English row it was written for. The marker row is written first, so
+// the import never repeats (even after every translation is cleared) and a
+// second process starting at the same time backs off.
+async function importSettingTranslations() {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query('INSERT INTO company_settings (setting_key, setting_value) VALUES (?, ?)', [
+      companyTranslationsImportedKey,
+      '1'
+    ]);
+    for (const language of getTranslationLanguages()) {
+      const translated = isObject(companyTranslations[language]) ? companyTranslations[language] : {};
+      for (const section of translatedSettingSections) {
+        const rows = section === 'estimatedOtherChargesFooter'
+          ? [{ text: translated[section] }]
+          : (Array.isArray(translated[section]) ? translated[section] : []);
+        for (const [index, row] of rows.entries()) {
+          const source = companyTranslationSources[section][index];
+          if (!source || !isObject(row)) {
+            continue;
+          }
+          await saveSettingTranslation(connection, {
+            section,
+            language,
+            source,
+            values: Object.fromEntries(getTranslatedFields(section).map(({ key }) => [key, text(row[key])]))
+          });
+        }
+      }
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// One form row per English row, posted with the key of the English text it was
+// shown next to. A blank row removes the translation, so the English prints.
+async function saveSectionTranslations({ section, language, body, user }) {
+  const sourceRows = [
+    ...(company[section] || []).map((row, index) => ({ section, label: `Row ${index + 1}`, row })),
+    ...(section === 'estimatedOtherCharges' && company.estimatedOtherChargesFooter
+      ? [{ section: 'estimatedOtherChargesFooter', label: 'Footer Line', row: { text: company.estimatedOtherChargesFooter } }]
+      : [])
+  ];
+  const submitted = Array.isArray(body.rows) ? body.rows : Object.values(body.rows || {});
+  const changes = [];
+  const fieldErrors = {};
+
+  submitted.forEach((row) => {
+    const sourceKey = text(row && row.source_key);
+    const source = sourceRows.find((entry) => getSectionRowSourceKey(entry.section, entry.row) === sourceKey);
+    if (!source) {
+      fieldErrors.rows = 'The English rows changed while this page was open. Reload the page and enter the translation again.';
+      return;
+    }
+    const values = Object.fromEntries(getTranslatedFields(source.section).map(({ key, multiline }) => {
+      const value = text(row[key]).replace(/\r\n/g, '\n');
+      return [key, multiline ? value.trim() : value.replace(/\s+/g, ' ').trim()];
+    }));
+    changes.push({ ...source, values });
+  });
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const describe = (entry, values) => describeSettingRow(getTranslatedFields(entry.section), values || {});
+  const before = Object.fromEntries(changes.map((entry) => [
+    entry.label,
+    describe(entry, findSettingTranslation(entry.section, language, entry.row))
+  ]));
+  const after = Object.fromEntries(changes.map((entry) => [entry.label, describe(entry, entry.values)]));
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    for (const entry of changes) {
+      await saveSettingTranslation(connection, { section: entry.section, language, source: entry.row, values: entry.values });
+    }
+    await bumpCompanySettingsRevision(connection);
+    await writeAuditLog(connection, {
+      entityType: 'settings',
+      entityId: `${section}.${language}`,
+      action: 'update',
+      user,
+      fields: buildAuditFieldChanges(before, after)
+    });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await refreshCompanySettings();
+}
+
+// Seeds the first template from the rows edited on the settings page before
+// templates existed, or else from company.json ("proposalTemplates" as
+// [{ name, rows }], or the single "proposalTemplate").
+async function importProposalTemplates() {
+  const [legacyRows] = await pool.query(
+    "SELECT row_json FROM company_setting_rows WHERE section = 'proposalTemplate' ORDER BY sort_order, id"
+  );
+  const configured = Array.isArray(company.proposalTemplates) && company.proposalTemplates.length
+    ? company.proposalTemplates
+    : [{ name: 'Residential Rooftop', rows: Array.isArray(company.proposalTemplate) ? company.proposalTemplate : [] }];
+  const templates = legacyRows.length
+    ? [{ name: configured[0].name, rows: legacyRows.map((row) => parseJson(row.row_json, {})) }]
+    : configured;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    for (const [index, template] of templates.entries()) {
+      const rows = (Array.isArray(template.rows) ? template.rows : [])
+        .map((row) => Object.fromEntries(proposalTemplateFields.map(({ key }) => [key, text(row[key])])));
+      await connection.query(
+        'INSERT INTO proposal_templates (name, sort_order, rows_json) VALUES (?, ?, ?)',
+        [text(template.name).trim() || `Template ${index + 1}`, index, JSON.stringify(rows)]
+      );
+    }
+    await connection.query("DELETE FROM company_setting_rows WHERE section = 'proposalTemplate'");
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+function findProposalTemplate(templateId) {
+  return proposalTemplates.find((template) => template.id === Number(templateId)) || null;
+}
+
+function getProposalTemplateOptions() {
+  return proposalTemplates.map((template) => ({
+    id: template.id,
+    name: template.name,
+    rows: template.rows.map(normalizeProposalTemplateRow)
+  }));
+}
+
+function parseProposalTemplateForm(body) {
+  return {
+    name: text(body.name).replace(/\s+/g, ' ').trim(),
+    position: text(body.position).trim(),
+    rows: parseSettingRows(proposalTemplateFields, body)
+  };
+}
+
+async function saveProposalTemplate({ templateId = null, body, user }) {
+  const form = parseProposalTemplateForm(body);
+  const fieldErrors = {};
+
+  if (!form.name) {
+    fieldErrors.name = 'Template name is required.';
+  }
+  if (form.position && !Number.isInteger(Number(form.position))) {
+    fieldErrors.position = 'Position must be a whole number.';
+  }
+  form.rows.forEach((row, index) => {
+    if (!row.description && !fieldErrors.rows) {
+      fieldErrors.rows = `Description is required (row ${index + 1}).`;
+    }
+  });
+  if (!form.rows.length && !fieldErrors.rows) {
+    fieldErrors.rows = 'Add at least one row to the template.';
+  }
+  if (Object.keys(fieldErrors).length) {
+    throw new ValidationError(fieldErrors);
+  }
+
+  const existing = templateId ? findProposalTemplate(templateId) : null;
+  const describe = (template) => ({
+    name: template.name,
+    ...Object.fromEntries(template.rows.map((row, index) => [`Row ${index + 1}`, describeSettingRow(proposalTemplateFields, row)]))
+  });
+  // Position 1 is the template new quotes start with; the rest keep their order.
+  const others = proposalTemplates.filter((template) => !existing || template.id !== existing.id);
+  const currentIndex = existing ? proposalTemplates.indexOf(existing) : others.length;
+  const targetIndex = form.position
+    ? Math.min(Math.max(Number(form.position) - 1, 0), others.length)
+    : Math.min(currentIndex, others.length);
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let finalTemplateId = existing ? existing.id : 0;
+    if (existing) {
+      await connection.query('UPDATE proposal_templates SET name = ?, rows_json = ? WHERE id = ?', [
+        form.name,
+        JSON.stringify(form.rows),
+        existing.id
+      ]);
+    } else {
+      const [result] = await connection.query(
+        'INSERT INTO proposal_templates (name, sort_order, rows_json) VALUES (?, ?, ?)',
+        [form.name, targetIndex, JSON.stringify(form.rows)]
+      );
+      finalTemplateId = result.insertId;
+    }
+
+    const orderedIds = others.map((template) => template.id);
+    orderedIds.splice(targetIndex, 0, finalTemplateId);
+    for (const [index, id] of orderedIds.entries()) {
+      await connection.query('UPDATE proposal_templates SET sort_order = ? WHERE id = ?', [index, id]);
+    }
+
+    await bumpCompanySettingsRevision(connection);
+    await writeAuditLog(connection, {
+      entityType: 'proposal_template',
+      entityId: finalTemplateId,
+      action: existing ? 'update' : 'create',
+      user,
+      fields: buildAuditFieldChanges(existing ? describe(existing) : null, describe(form))
+    });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new ValidationError({ name: `A template named "${form.name}" already exists.` });
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await refreshCompanySettings();
+}
+
+// Quotes keep their own copy of the rows, so deleting a template only clears
+// the pick on quotes that used it.
+async function deleteProposalTemplate({ template, user }) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query('UPDATE quotes SET proposal_template_id = NULL WHERE proposal_template_id = ?', [template.id]);
+    await connection.query('DELETE FROM proposal_templates WHERE id = ?', [template.id]);
+    await bumpCompanySettingsRevision(connection);
+    await writeAuditLog(connection, {
+      entityType: 'proposal_template',
+      entityId: template.id,
+      action: 'delete',
+      user,
+      fields: buildAuditFieldChanges({ name: template.name, rows: template.rows.length }, null)
+    });
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await refreshCompanySettings();
+}
+
+async function renderQuoteForm(res, locals) {
+  // Archived products stay listed only for lines that already use them.
+  const usedProductIds = (locals.initialItems || []).map((item) => Number(item.product_id)).filter(Boolean);
+  const [products] = await pool.query(
+    `SELECT *, archived_at IS NOT NULL AS archived
+     FROM products
+     WHERE archived_at IS NULL OR id IN (?)
+     ORDER BY name`,
+    [usedProductIds.length ? usedProductIds : [0]]
+  );
+  const kits = (await loadKits())
+    .map((kit) => ({
+      id: kit.id,
+      name: kit.name,
+      show_as_bundle: kit.show_as_bundle,
+      items: kit.items.filter((item) => !item.archived).map((item) => ({ product_id: item.product_id, qty: item.qty }))
+    }))
+    .filter((kit) => kit.items.length);
+  const sections = locals.initialSections || parseQuoteSections({});
+  res.render('quote_new', {
+    products,
+    kits,
+    company,
+    gstStates: getGstStateOptions(),
+    companyStateCode: getCompanyStateCode(),
+    errors: {},
+    revisions: [],
+    quoteStatus: null,
+    stalePriceItems: [],
+    pricesRefreshed: 0,
+    sizingConfig: getSizingConfig(),
+    subsidyOptions: getSubsidyOptions(),
+    projectionDefaults: getProjectionDefaults(),
+    languageOptions: getQuoteLanguageOptions(),
+    proposalTemplates: getProposalTemplateOptions(),
+    quoteSections: quoteSections.map(({ key }) => ({
+      key,
+      title: companySettingSections[key].title,
+      fields: companySettingSections[key].fields,
+      rows: sections[key]
+    })),
+    ...locals
+  });
+}
+
+// Rebuilds the form from a rejected submission so nothing typed is lost.
+function buildQuoteFormFromBody(body, quoteId = null) {
+  let items = [];
+  try {
+    const parsed = JSON.parse(body.items_json || '[]');
+    items = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    items = [];
+  }
+
+  return {
+    quote: {
+      id: quoteId,
+      quote_date_display: text(body.quote_date),
+      customer_name: text(body.customer_name),
+      customer_phone: text(body.customer_phone),
+      customer_email: text(body.customer_email),
+      customer_address: text(body.customer_address),
+      customer_gstin: text(body.customer_gstin),
+      customer_id: text(body.customer_id),
+      place_of_supply_choice: text(body.place_of_supply),
+      selected_bank_key: text(body.selected_bank_key),
+      system_kwp: text(body.system_kwp),
+      module_wattage: text(body.module_wattage),
+      inverter_kw: text(body.inverter_kw),
+      subsidy_category: text(body.subsidy_category),
+      discount_type: text(body.discount_type),
+      discount_value: text(body.discount_value),
+      projection_yield: text(body.projection_yield),
+      projection_tariff: text(body.projection_tariff),
+      projection_escalation: text(body.projection_escalation),
+      projection_first_year_degradation: text(body.projection_first_year_degradation),
+      projection_annual_degradation: text(body.projection_annual_degradation),
+      language: text(body.language),
+      proposal_template_id: text(body.proposal_template_id),
+      notes: text(body.notes)
+    },
+    initialItems: items,
+    initialProposalItems: parseProposalItems(body.proposal_items_json || '[]', body),
+    initialSections: parseQuoteSectionsFromBody(body)
+  };
+}
+
+function renderLogin(req, res, { status = 200, nextPath, error = '' }) {
+  return res.status(status).render('login', {
+    company,
+    title: 'Sign In',
+    nextPath,
+    error,
+    csrfToken: ensureLoginCsrfToken(req, res)
+  });
+}
+
+app.use(asyncHandler(async (req, res, next) => {
+  await refreshCompanySettings();
+  next();
+}));
+
+app.get('/login', asyncHandler(async (req, res) => {
+  const cookies = parseCookies(req.headers.cookie || '');
+  const currentAuth = await resolveAuthUser(cookies[authConfig.cookieName]);
+  const nextPath = getSafeNextPath(req.query.next);
+
+  if (currentAuth) {
+    return res.redirect(withBase(nextPath));
+  }
+
+  return renderLogin(req, res, { nextPath });
+}));
+
+app.post('/login', asyncHandler(async (req, res) => {
+  const username = text(req.body.username).trim();
+  const password = text(req.body.password);
+  const nextPath = getSafeNextPath(req.body.next);
+  const throttleKeys = getLoginThrottleKeys(username, req.ip);
+
+  if (!isValidCsrfToken(req.body._csrf, getLoginCsrfToken(req))) {
+    return renderLogin(req, res, {
+      status: 403,
+      nextPath,
+      error: 'The sign-in form expired. Please try again.'
+    });
+  }
+
+  const lockSeconds = await getLoginLockSeconds(throttleKeys);
+  if (lockSeconds > 0) {
+    const minutes = Math.ceil(lockSeconds / 60);
+    return renderLogin(req, res, {
+      status: 429,
+      nextPath,
+      error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    });
+  }
+
+  const user = username && password ? await authenticateUser(username, password) : null;
+
+  if (!user) {
+    await recordLoginFailure(throttleKeys);
+    return renderLogin(req, res, {
+      status: 401,
+      nextPath,
+      error: 'Invalid username or password.'
+    });
+  }
+
+  await clearLoginFailures(throttleKeys);
+  const token = await createSession(user, req);
+  setAuthCookie(res, token);
+  return res.redirect(withBase(nextPath));
+}));
+
+app.use(asyncHandler(async (req, res, next) => {
+  if (req.path === '/login') {
+    return next();
+  }
+
+  const cookies = parseCookies(req.headers.cookie || '');
+  const auth = await resolveAuthUser(cookies[authConfig.cookieName]);
+  if (!auth) {
+    const nextPath = getSafeNextPath(req.url || '/');
+    return res.redirect(withBase(`/login?next=${encodeURIComponent(nextPath)}`));
+  }
+
+  if (auth.renewedToken) {
+    setAuthCookie(res, auth.renewedToken);
+  }
+
+  const authUser = auth.user;
+  res.locals.authUser = authUser;
+  res.locals.csrfToken = createCsrfToken('session', authUser.sessionId);
+
+  const isWrite = req.method !== 'GET' && req.method !== 'HEAD';
+  if (isWrite && !isValidCsrfToken(req.body._csrf || req.get('X-CSRF-Token'), res.locals.csrfToken)) {
+    return renderCsrfError(res);
+  }
+
+  if (!isRequestAllowedForRole(authUser.role, req.method, req.path)) {
+    return renderErrorPage(res, 403, {
+      title: 'Not Allowed',
+      message: 'Your account does not have permission to do that.'
+    });
+  }
+  return next();
+}));
+
+app.get('/logout', (req, res) => {
+  res.render('confirm', {
+    company,
+    title: 'Sign Out',
+    message: 'Sign out of this device?',
+    details: [],
+    action: '/logout',
+    submitLabel: 'Sign Out',
+    cancelPath: '/'
+  });
+});
+
+app.post('/logout', asyncHandler(async (req, res) => {
+  await revokeSession(res.locals.authUser.sessionId);
+  clearAuthCookie(res);
+  res.redirect(withBase('/login'));
+}));
 
-  if (y + headerHeight > pageBottom) {
-    doc.addPage();
-    y = doc.page.margins.top;
-    if (title && drawTitleOnNewPage) {
-      drawTitleRow(title);
+app.get('/', asyncHandler(async (req, res) => {
+  let quote = null;
+  const customerId = Number(req.query.customer || 0);
+  if (customerId) {
+    const [[customer]] = await pool.query('SELECT * FROM customers WHERE id = ?', [customerId]);
+    if (customer) {
+      quote = {
+        customer_id: customer.id,
+        customer_name: customer.name,
+        customer_phone: customer.phone,
+        customer_email: customer.email,
+        customer_address: customer.address,
+        customer_gstin: customer.gstin
+      };
     }
   }
-  drawHeaderRow();
 
-  rows.forEach((row) => {
-    const rowValues = columns.map((col) => text(row[col.key] || ''));
-    const rowHeight = Math.max(
-      24,
-      ...rowValues.map((value, idx) => {
-        const col = columns[idx];
-        const cellHeight = doc.heightOfString(value, {
-          width: col.width - 8,
-          align: col.align || 'left'
-        });
-        return cellHeight + 8;
-      })
-    );
+  await renderQuoteForm(res, {
+    pageTitle: 'New Quotation',
+    formAction: '/quotes',
+    submitLabel: 'Save & Download PDF',
+    quote,
+    initialItems: [],
+    initialProposalItems: getDefaultProposalItems()
+  });
+}));
 
-    if (y + rowHeight > pageBottom) {
-      doc.addPage();
-      y = doc.page.margins.top;
-      if (title && drawTitleOnNewPage) {
-        drawTitleRow(title);
-      }
-      drawHeaderRow();
-    }
+app.get('/products', asyncHandler(async (req, res) => {
+  const showArchived = req.query.status === 'archived';
+  const [products] = await pool.query(
+    `SELECT p.*,
+            (SELECT COUNT(DISTINCT qi.quote_id) FROM quote_items qi WHERE qi.product_id = p.id) AS quote_count
+     FROM products p
+     WHERE p.archived_at IS ${showArchived ? 'NOT NULL' : 'NULL'}
+     ORDER BY p.name`
+  );
+  const [[counts]] = await pool.query(
+    'SELECT SUM(archived_at IS NULL) AS active, SUM(archived_at IS NOT NULL) AS archived FROM products'
+  );
+  const imported = /^(\d+)-(\d+)$/.exec(text(req.query.imported));
+  const savedMessage = imported
+    ? `Import complete: ${imported[1]} added, ${imported[2]} updated.`
+    : '';
+  res.render('products', {
+    products: products.map((product) => ({
+      ...product,
+      archived_display: product.archived_at ? formatDateTime(product.archived_at) : ''
+    })),
+    company,
+    savedMessage,
+    showArchived,
+    counts: { active: Number(counts.active || 0), archived: Number(counts.archived || 0) }
+  });
+}));
 
-    let xCursor = x;
-    columns.forEach((col, idx) => {
-      doc.rect(xCursor, y, col.width, rowHeight).stroke();
-      doc.font('Helvetica').fontSize(10).text(rowValues[idx], xCursor + 4, y + 4, {
-        width: col.width - 8,
-        align: col.align || 'left'
-      });
-      xCursor += col.width;
-    });
+app.post('/products', asyncHandler(async (req, res) => {
+  const { name, description, hsn, unit, price, gst_rate } = req.body;
+  if (!name) {
+    return res.redirect(withBase('/products'));
+  }
 
-    y += rowHeight;
+  const [insertResult] = await pool.query(
+    'INSERT INTO products (name, description, hsn, unit, price, gst_rate) VALUES (?, ?, ?, ?, ?, ?)',
+    [name, description || null, hsn || null, unit || null, price || 0, gst_rate || 0]
+  );
+
+  const [[product]] = await pool.query('SELECT * FROM products WHERE id = ?', [insertResult.insertId]);
+  await recordProductPrice(pool, {
+    productId: product.id,
+    price: product.price,
+    gstRate: product.gst_rate,
+    user: res.locals.authUser
+  });
+  await writeAuditLog(pool, {
+    entityType: 'product',
+    entityId: insertResult.insertId,
+    action: 'create',
+    user: res.locals.authUser,
+    fields: buildAuditFieldChanges(null, product, { ignore: productAuditIgnoredColumns })
   });
 
-  return y;
-}
+  res.redirect(withBase('/products'));
+}));
 
-function formatMoney(value) {
-  return Number(value || 0).toFixed(2);
-}
+app.get('/products/export', asyncHandler(async (req, res) => {
+  const [products] = await pool.query('SELECT * FROM products ORDER BY name');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="products-${formatDate(new Date())}.csv"`);
+  res.send(buildProductsCsv(products));
+}));
 
-function sanitizePdfLine(value) {
-  return String(value || '')
-    .replace(/\s+/g, ' ')
-    .replace(/[^\x20-\x7E]/g, ' ')
-    .trim();
+function renderProductImport(res, { csvText = '', plan = null, errors = {} } = {}) {
+  res.render('product_import', {
+    company,
+    csvText,
+    plan,
+    errors,
+    columns: productCsvColumns,
+    gstRateSlabs
+  });
 }
 
-function escapePdfText(value) {
-  return sanitizePdfLine(value)
-    .replace(/\\/g, '\\\\')
-    .replace(/\(/g, '\\(')
-    .replace(/\)/g, '\\)');
-}
+app.get('/products/import', (req, res) => {
+  renderProductImport(res);
+});
 
-function wrapPdfLine(line, maxChars = 110) {
-  const clean = sanitizePdfLine(line);
-  if (!clean) {
-    return [''];
-  }
+app.post('/products/import', asyncHandler(async (req, res) => {
+  const csvText = text(req.body.csv_text);
 
-  const words = clean.split(' ');
-  const out = [];
-  let current = '';
+  if (!csvText.trim()) {
+    res.status(422);
+    return renderProductImport(res, { errors: { csv_text: 'Choose a CSV file or paste its contents.' } });
+  }
 
-  words.forEach((word) => {
-    if (!current) {
-      current = word;
-      return;
+  if (req.body.confirm !== '1') {
+    const [existingProducts] = await pool.query('SELECT * FROM products ORDER BY id');
+    const plan = buildProductImportPlan(csvText, existingProducts);
+    if (plan.error) {
+      res.status(422);
+      return renderProductImport(res, { csvText, errors: { csv_text: plan.error } });
     }
+    return renderProductImport(res, { csvText, plan });
+  }
 
-    const candidate = `${current} ${word}`;
-    if (candidate.length <= maxChars) {
-      current = candidate;
-      return;
+  try {
+    const counts = await applyProductImport(csvText, res.locals.authUser);
+    return res.redirect(withBase(`/products?imported=${counts.insert}-${counts.update}`));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
     }
+    res.status(422);
+    return renderProductImport(res, { csvText, errors: error.fieldErrors });
+  }
+}));
 
-    out.push(current);
-    current = word;
-  });
+app.get('/products/:id/edit', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [[product]] = await pool.query('SELECT * FROM products WHERE id = ?', [id]);
 
-  if (current) {
-    out.push(current);
+  if (!product) {
+    return res.status(404).send('Product not found');
   }
 
-  return out.length ? out : [''];
-}
+  res.render('product_edit', { company, product, priceHistory: await loadProductPriceHistory(product.id) });
+}));
 
-function buildFallbackPdfLines({ quote, items, proposalItems, selectedBank }) {
-  const lines = [];
+app.post('/products/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, hsn, unit, price, gst_rate } = req.body;
+  const [[before]] = await pool.query('SELECT * FROM products WHERE id = ?', [id]);
 
-  lines.push(company.name || 'Quotation');
-  if (company.tagline) lines.push(company.tagline);
-  if (company.address) lines.push(company.address);
-  if (company.phone) lines.push(`Phone: ${company.phone}`);
-  if (company.email) lines.push(`Email: ${company.email}`);
-  if (company.gstin) lines.push(`GSTIN: ${company.gstin}`);
+  await pool.query(
+    `UPDATE products
+     SET name = ?, description = ?, hsn = ?, unit = ?, price = ?, gst_rate = ?
+     WHERE id = ?`,
+    [name, description || null, hsn || null, unit || null, price || 0, gst_rate || 0, id]
+  );
 
-  lines.push('');
-  lines.push('QUOTATION');
-  lines.push(`Quote No: ${quote.quote_no || '-'}`);
-  lines.push(`Date: ${formatDate(quote.quote_date)}`);
-  lines.push(`Customer: ${quote.customer_name || '-'}`);
-  lines.push(`Phone: ${quote.customer_phone || '-'}`);
-  lines.push(`Email: ${quote.customer_email || '-'}`);
-  lines.push(`Customer GSTIN: ${quote.customer_gstin || '-'}`);
-  lines.push(`Address: ${quote.customer_address || '-'}`);
+  const [[after]] = await pool.query('SELECT * FROM products WHERE id = ?', [id]);
+  if (before && after) {
+    await recordProductPrice(pool, {
+      productId: after.id,
+      price: after.price,
+      gstRate: after.gst_rate,
+      user: res.locals.authUser
+    });
+    await writeAuditLog(pool, {
+      entityType: 'product',
+      entityId: id,
+      action: 'update',
+      user: res.locals.authUser,
+      fields: buildAuditFieldChanges(before, after, { ignore: productAuditIgnoredColumns })
+    });
+  }
 
-  lines.push('');
-  lines.push('ITEMS');
-  items.forEach((item, index) => {
-    lines.push(
-      `${index + 1}. ${item.name || '-'} | HSN: ${item.hsn || '-'} | Qty: ${item.qty || 0} | ` +
-      `Rate: ${formatMoney(item.unit_price)} | GST: ${formatMoney(item.gst_rate)}% | Total: ${formatMoney(item.total)}`
-    );
-  });
-  lines.push(`Subtotal: ${formatMoney(quote.subtotal)}`);
-  lines.push(`CGST: ${formatMoney(quote.cgst_total)}`);
-  lines.push(`SGST: ${formatMoney(quote.sgst_total)}`);
-  lines.push(`Grand Total: ${formatMoney(quote.total)}`);
+  res.redirect(withBase('/products'));
+}));
 
-  lines.push('');
-  lines.push('ITEMS CONSIDERED FOR PROPOSAL');
-  proposalItems.forEach((row) => {
-    lines.push(
-      `${row.sr_no || '-'} | ${row.description || '-'} | Unit: ${row.unit || '-'} | ` +
-      `Qty: ${row.qty || '-'} | Specification: ${row.specification || '-'} | Make: ${row.make || '-'}`
-    );
-  });
+async function countProductQuotes(productId) {
+  const [[{ quoteCount }]] = await pool.query(
+    'SELECT COUNT(DISTINCT quote_id) AS quoteCount FROM quote_items WHERE product_id = ?',
+    [productId]
+  );
+  return Number(quoteCount || 0);
+}
 
-  if (estimatedOtherCharges.length) {
-    lines.push('');
-    lines.push('ESTIMATED OTHER CHARGES');
-    estimatedOtherCharges.forEach((row) => {
-      lines.push(`${row.item || '-'} | ${row.remark || '-'}`);
-    });
-    if (company.estimatedOtherChargesFooter) {
-      lines.push(company.estimatedOtherChargesFooter);
-    }
-  }
+app.get('/products/:id/archive', asyncHandler(async (req, res) => {
+  const [[product]] = await pool.query('SELECT * FROM products WHERE id = ? AND archived_at IS NULL', [req.params.id]);
 
-  if (customerScopeRows.length) {
-    lines.push('');
-    lines.push('SCOPE OF WORK');
-    customerScopeRows.forEach((row) => {
-      lines.push(`${row.sr_no || '-'} | ${row.description || '-'} | ${row.remark || '-'}`);
-    });
+  if (!product) {
+    return res.status(404).send('Product not found');
   }
 
-  if (termsConditions.length) {
-    lines.push('');
-    lines.push('TERMS & CONDITIONS');
-    termsConditions.forEach((row) => {
-      lines.push(`${row.sr_no || '-'} | ${row.parameter || '-'} | ${row.remark || '-'}`);
+  const quoteCount = await countProductQuotes(product.id);
+  res.render('confirm', {
+    company,
+    title: 'Archive Product',
+    message: `Archive "${product.name}"? It will no longer be offered on new quotes. Saved quotes keep showing it, and it can be restored from the Archived tab.`,
+    details: [
+      { label: 'Used in Quotes', value: quoteCount },
+      { label: 'HSN', value: product.hsn || '-' },
+      { label: 'Price', value: Number(product.price).toFixed(2) },
+      { label: 'GST %', value: Number(product.gst_rate).toFixed(2) }
+    ],
+    action: `/products/${product.id}/archive`,
+    submitLabel: 'Archive Product',
+    cancelPath: '/products'
+  });
+}));
+
+app.post('/products/:id/archive', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const user = res.locals.authUser;
+  const [result] = await pool.query(
+    'UPDATE products SET archived_at = NOW(), archived_by = ? WHERE id = ? AND archived_at IS NULL',
+    [user ? user.username : null, id]
+  );
+
+  if (result.affectedRows) {
+    await writeAuditLog(pool, {
+      entityType: 'product',
+      entityId: id,
+      action: 'archive',
+      user
     });
   }
 
-  if (warrantyRows.length) {
-    lines.push('');
-    lines.push('WARRANTEE');
-    warrantyRows.forEach((row) => {
-      lines.push(`${row.sr_no || '-'} | ${row.parameter || '-'} | ${row.remark || '-'}`);
+  res.redirect(withBase('/products'));
+}));
+
+app.post('/products/:id/restore', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [result] = await pool.query(
+    'UPDATE products SET archived_at = NULL, archived_by = NULL WHERE id = ? AND archived_at IS NOT NULL',
+    [id]
+  );
+
+  if (result.affectedRows) {
+    await writeAuditLog(pool, {
+      entityType: 'product',
+      entityId: id,
+      action: 'restore',
+      user: res.locals.authUser
     });
   }
 
-  if (selectedBank) {
-    lines.push('');
-    lines.push('BANK ACCOUNT DETAILS');
-    lines.push(`Account Holder: ${selectedBank.holderName || '-'}`);
-    lines.push(`Account Number: ${selectedBank.accountNumber || '-'}`);
-    lines.push(`Bank: ${selectedBank.bankName || selectedBank.label || '-'}`);
-    lines.push(`IFSC: ${selectedBank.ifsc || '-'}`);
-    if (selectedBank.branch) {
-      lines.push(`Branch: ${selectedBank.branch}`);
+  res.redirect(withBase('/products?status=archived'));
+}));
+
+app.get('/kits', asyncHandler(async (req, res) => {
+  res.render('kits', { company, kits: await loadKits() });
+}));
+
+async function renderKitForm(res, { kit = null, submitted = null, errors = {} } = {}) {
+  const [products] = await pool.query('SELECT id, name, price, unit FROM products WHERE archived_at IS NULL ORDER BY name');
+  const form = submitted
+    ? parseKitForm(submitted)
+    : {
+      name: kit ? kit.name : '',
+      description: kit ? kit.description || '' : '',
+      showAsBundle: kit ? kit.show_as_bundle : false,
+      components: kit ? kit.items.map((item) => ({ product_id: item.product_id, qty: item.qty })) : []
+    };
+  // A few blank rows so components can be added without any scripting.
+  const componentRows = [...form.components, ...Array.from({ length: 4 }, () => ({ product_id: 0, qty: '' }))];
+
+  res.render('kit_edit', {
+    company,
+    kit,
+    form,
+    componentRows,
+    products,
+    errors
+  });
+}
+
+app.get('/kits/new', asyncHandler(async (req, res) => {
+  await renderKitForm(res);
+}));
+
+app.post('/kits', asyncHandler(async (req, res) => {
+  try {
+    await saveKit({ body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase('/kits'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
     }
+    res.status(422);
+    return renderKitForm(res, { submitted: req.body, errors: error.fieldErrors });
   }
+}));
 
-  if (quote.notes) {
-    lines.push('');
-    lines.push(`Additional Note: ${quote.notes}`);
+app.get('/kits/:id/edit', asyncHandler(async (req, res) => {
+  const [kit] = await loadKits({ kitId: req.params.id });
+
+  if (!kit) {
+    return res.status(404).send('Kit not found');
   }
 
-  lines.push('');
-  lines.push(`FOR, ${company.name || 'New Bharat Enterprise'}`);
-  lines.push('(Stamp of Company)');
-  lines.push('Signatory Authorized');
+  await renderKitForm(res, { kit });
+}));
 
-  return lines.flatMap((line) => wrapPdfLine(line));
-}
+app.post('/kits/:id', asyncHandler(async (req, res) => {
+  const [kit] = await loadKits({ kitId: req.params.id });
 
-function createSimplePdfBuffer(lines) {
-  const pageWidth = 595;
-  const pageHeight = 842;
-  const startX = 40;
-  const startY = 800;
-  const bottomMargin = 40;
-  const lineHeight = 13;
-  const maxLinesPerPage = Math.max(1, Math.floor((startY - bottomMargin) / lineHeight));
+  if (!kit) {
+    return res.status(404).send('Kit not found');
+  }
 
-  const normalizedLines = Array.isArray(lines) && lines.length ? lines : ['Quotation'];
-  const pages = [];
-  for (let i = 0; i < normalizedLines.length; i += maxLinesPerPage) {
-    pages.push(normalizedLines.slice(i, i + maxLinesPerPage));
+  try {
+    await saveKit({ kitId: kit.id, body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase('/kits'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    res.status(422);
+    return renderKitForm(res, { kit, submitted: req.body, errors: error.fieldErrors });
   }
+}));
 
-  const objects = [];
-  const addObject = (content) => {
-    objects.push(content);
-    return objects.length;
-  };
+app.get('/kits/:id/delete', asyncHandler(async (req, res) => {
+  const [kit] = await loadKits({ kitId: req.params.id });
 
-  const fontObjectId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
-  const pageObjectIds = [];
+  if (!kit) {
+    return res.status(404).send('Kit not found');
+  }
 
-  pages.forEach((pageLines) => {
-    const operations = ['BT', '/F1 10 Tf', `1 0 0 1 ${startX} ${startY} Tm`];
+  res.render('confirm', {
+    company,
+    title: 'Delete Kit',
+    message: `Delete the kit "${kit.name}"? Quotes that already used it keep their lines; the products themselves are not touched.`,
+    details: kit.items.map((item) => ({ label: item.product_name, value: `x ${item.qty}` })),
+    action: `/kits/${kit.id}/delete`,
+    submitLabel: 'Delete Kit',
+    cancelPath: '/kits'
+  });
+}));
 
-    pageLines.forEach((line, idx) => {
-      operations.push(`(${escapePdfText(line)}) Tj`);
-      if (idx < pageLines.length - 1) {
-        operations.push(`0 -${lineHeight} Td`);
-      }
+app.post('/kits/:id/delete', asyncHandler(async (req, res) => {
+  const [kit] = await loadKits({ kitId: req.params.id });
+
+  if (kit) {
+    await pool.query('DELETE FROM kits WHERE id = ?', [kit.id]);
+    await writeAuditLog(pool, {
+      entityType: 'kit',
+      entityId: kit.id,
+      action: 'delete',
+      user: res.locals.authUser,
+      fields: buildAuditFieldChanges({
+        name: kit.name,
+        components: kit.items.map((item) => `${item.product_name} x ${item.qty}`).join(', ')
+      }, null)
     });
+  }
 
-    operations.push('ET');
-    const stream = operations.join('\n');
-    const contentObjectId = addObject(
-      `<< /Length ${Buffer.byteLength(stream, 'utf8')} >>\nstream\n${stream}\nendstream`
-    );
+  res.redirect(withBase('/kits'));
+}));
 
-    const pageObjectId = addObject(
-      `<< /Type /Page /Parent __PAGES_OBJECT__ 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
-      `/Resources << /Font << /F1 ${fontObjectId} 0 R >> >> /Contents ${contentObjectId} 0 R >>`
-    );
-    pageObjectIds.push(pageObjectId);
-  });
+app.get('/quotes', asyncHandler(async (req, res) => {
+  const search = String(req.query.q || '').trim();
+  const statusFilter = quoteStatuses[req.query.status] ? req.query.status : '';
 
-  const pagesObjectId = addObject(
-    `<< /Type /Pages /Kids [${pageObjectIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageObjectIds.length} >>`
-  );
+  await expireOverdueQuotes();
 
-  pageObjectIds.forEach((id) => {
-    objects[id - 1] = objects[id - 1].replace('__PAGES_OBJECT__', String(pagesObjectId));
-  });
+  let sql = `SELECT q.id, q.quote_no, q.revision_no, q.quote_date, q.valid_until, q.status, q.customer_id, q.customer_name, q.total,
+                    i.id AS invoice_id, i.invoice_no, COALESCE(u.display_name, u.username) AS created_by_name
+             FROM quotes q
+             LEFT JOIN invoices i ON i.quote_id = q.id
+             LEFT JOIN users u ON u.id = q.created_by_user_id`;
+  const conditions = [];
+  const params = [];
 
-  const catalogObjectId = addObject(`<< /Type /Catalog /Pages ${pagesObjectId} 0 R >>`);
+  if (search) {
+    conditions.push('q.customer_name LIKE ?');
+    params.push(`%${search}%`);
+  }
+  if (statusFilter) {
+    conditions.push('q.status = ?');
+    params.push(statusFilter);
+  }
+  if (conditions.length) {
+    sql += ` WHERE ${conditions.join(' AND ')}`;
+  }
 
-  let pdf = '%PDF-1.4\n%1234\n';
-  const offsets = [0];
-  objects.forEach((objectContent, idx) => {
-    offsets.push(Buffer.byteLength(pdf, 'utf8'));
-    pdf += `${idx + 1} 0 obj\n${objectContent}\nendobj\n`;
-  });
+  sql += ' ORDER BY q.id DESC';
 
-  const xrefOffset = Buffer.byteLength(pdf, 'utf8');
-  let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
-  offsets.slice(1).forEach((offset) => {
-    xref += `${String(offset).padStart(10, '0')} 00000 n \n`;
-  });
+  const [quotesRaw] = await pool.query(sql, params);
+  const quotes = quotesRaw.map((quote) => ({
+    ...quote,
+    quote_no_display: formatQuoteRevisionLabel(quote.quote_no, quote.revision_no),
+    quote_date_display: formatDate(quote.quote_date),
+    valid_until_display: formatDate(quote.valid_until),
+    total_display: formatCurrency(quote.total),
+    status_label: getQuoteStatusLabel(quote.status),
+    allowed_statuses: getAllowedQuoteStatuses(quote.status)
+  }));
 
-  pdf += `${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogObjectId} 0 R >>\n`;
-  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+  res.render('quotes', {
+    quotes,
+    company,
+    search,
+    statusFilter,
+    statusOptions: Object.keys(quoteStatuses).map((value) => ({ value, label: quoteStatuses[value] }))
+  });
+}));
 
-  return Buffer.from(pdf, 'utf8');
-}
+app.get('/quotes/price-changes', asyncHandler(async (req, res) => {
+  await expireOverdueQuotes();
+  const staleItems = await loadStalePriceItems();
+  const quotesById = new Map();
+
+  staleItems.forEach((row) => {
+    if (!quotesById.has(row.quote_id)) {
+      quotesById.set(row.quote_id, {
+        id: row.quote_id,
+        quote_no_display: formatQuoteRevisionLabel(row.quote_no, row.revision_no),
+        quote_date_display: formatDate(row.quote_date),
+        customer_name: row.customer_name,
+        status: row.status,
+        status_label: getQuoteStatusLabel(row.status),
+        items: [],
+        taxable_change: 0
+      });
+    }
+    const quote = quotesById.get(row.quote_id);
+    quote.items.push(row);
+    quote.taxable_change = round2(quote.taxable_change + row.taxable_change);
+  });
 
-function isPdfkitFontDataError(error) {
-  const message = String(error && error.message ? error.message : error);
-  return message.includes('Helvetica.afm') || (message.includes('/pdfkit/') && message.includes('/data/'));
-}
+  res.render('quote_price_changes', { company, quotes: [...quotesById.values()] });
+}));
 
-function getCompanyStampPath() {
-  const candidates = [
-    path.join(__dirname, 'public', 'stamp.png'),
-    path.join(__dirname, 'public', 'stamp.jpg'),
-    path.join(__dirname, 'public', 'stamp.jpeg'),
-    path.join(__dirname, 'public', 'company-stamp.png')
-  ];
+app.post('/quotes/:id/status', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await changeQuoteStatus({ quoteId: id, toStatus: text(req.body.status), user: res.locals.authUser });
+  res.redirect(withBase(getSafeNextPath(req.body.next || '/quotes')));
+}));
 
-  for (const candidate of candidates) {
-    if (fs.existsSync(candidate)) {
-      return candidate;
+app.post('/quotes', asyncHandler(async (req, res) => {
+  try {
+    const quoteId = await saveQuote({ body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase(`/quotes/${quoteId}/pdf`));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
     }
-  }
 
-  return null;
-}
+    res.status(422);
+    return renderQuoteForm(res, {
+      pageTitle: 'New Quotation',
+      formAction: '/quotes',
+      submitLabel: 'Save & Download PDF',
+      ...buildQuoteFormFromBody(req.body),
+      errors: error.fieldErrors
+    });
+  }
+}));
 
-function drawSignatorySection(doc, startY) {
-  const sectionHeight = 178;
-  let y = startY;
-  const pageBottom = doc.page.height - doc.page.margins.bottom;
-  const sectionX = 330;
-  const sectionWidth = 220;
-  const sectionCenterX = sectionX + (sectionWidth / 2);
-  const stampWidth = 130;
-  const stampHeight = 96;
+app.get('/quotes/:id/edit', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await expireOverdueQuotes();
+  const loaded = await loadQuote(id);
 
-  if (y + sectionHeight > pageBottom) {
-    doc.addPage();
-    y = doc.page.margins.top;
+  if (!loaded) {
+    return res.status(404).send('Quote not found');
   }
 
-  doc.font('Helvetica-Bold').fontSize(11).text(`FOR, ${company.name || 'New Bharat Enterprise'}`, sectionX, y, {
-    width: sectionWidth,
-    align: 'center'
+  const [[invoice]] = await pool.query('SELECT id, invoice_no FROM invoices WHERE quote_id = ?', [id]);
+  const stalePriceItems = await loadStalePriceItems({ quoteId: id });
+  const currentPrices = new Map(stalePriceItems.map((row) => [Number(row.product_id), row]));
+  const initialItems = loaded.items.map((item) => {
+    const current = currentPrices.get(Number(item.product_id));
+    const isStale = current && (current.current_price !== item.unit_price || current.current_gst_rate !== item.gst_rate);
+    return isStale
+      ? { ...item, current_price: current.current_price, current_gst_rate: current.current_gst_rate }
+      : item;
   });
 
-  const stampPath = getCompanyStampPath();
-  const stampY = y + 20;
-  const stampX = Math.round(sectionCenterX - (stampWidth / 2));
-  const stampCaptionY = stampY + stampHeight + 6;
-  const signatoryY = stampCaptionY + 24;
+  await renderQuoteForm(res, {
+    pageTitle: `Edit Quotation ${loaded.quote.quote_no || ''}`,
+    formAction: `/quotes/${id}`,
+    submitLabel: 'Update & Download PDF',
+    quote: loaded.quote,
+    initialItems,
+    stalePriceItems,
+    pricesRefreshed: Number(req.query.refreshed || 0),
+    initialProposalItems: loaded.proposalItems,
+    initialSections: loaded.sections,
+    revisions: await loadQuoteRevisions(id),
+    quoteStatus: {
+      status: loaded.quote.status,
+      label: getQuoteStatusLabel(loaded.quote.status),
+      validUntil: formatDate(loaded.quote.valid_until),
+      allowed: getAllowedQuoteStatuses(loaded.quote.status),
+      history: await loadQuoteStatusHistory(id),
+      invoice: invoice || null
+    }
+  });
+}));
 
-  if (stampPath) {
-    doc.image(stampPath, stampX, stampY, { fit: [stampWidth, stampHeight], align: 'center', valign: 'center' });
-    doc.font('Helvetica').fontSize(10).text('(Stamp of Company)', sectionX, stampCaptionY, {
-      width: sectionWidth,
-      align: 'center'
-    });
-  } else {
-    doc.font('Helvetica').fontSize(10).text('(Stamp of Company)', sectionX, y + 72, {
-      width: sectionWidth,
-      align: 'center'
+app.post('/quotes/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const quoteId = await saveQuote({ body: req.body, quoteId: id, user: res.locals.authUser });
+    return res.redirect(withBase(`/quotes/${quoteId}/pdf`));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+
+    const [[existingQuote]] = await pool.query('SELECT quote_no FROM quotes WHERE id = ?', [id]);
+    res.status(422);
+    return renderQuoteForm(res, {
+      pageTitle: `Edit Quotation ${existingQuote ? existingQuote.quote_no || '' : ''}`,
+      formAction: `/quotes/${id}`,
+      submitLabel: 'Update & Download PDF',
+      ...buildQuoteFormFromBody(req.body, id),
+      revisions: await loadQuoteRevisions(id),
+      errors: error.fieldErrors
     });
   }
+}));
 
-  doc.font('Helvetica').fontSize(11).text('Signatory Authorized', sectionX, signatoryY, {
-    width: sectionWidth,
-    align: 'center'
-  });
-
-  return y + sectionHeight;
-}
+app.post('/quotes/:id/refresh-prices', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const loaded = await loadQuote(id);
 
-function drawBankDetailsSection(doc, startY, selectedBank) {
-  if (!selectedBank) {
-    return startY;
+  if (!loaded) {
+    return res.status(404).send('Quote not found');
   }
 
-  let y = startY;
-  const x = 40;
-  const width = 515;
-  const titleHeight = 24;
-  const rowHeight = 22;
-  const rows = [
-    ['Account Holder', selectedBank.holderName || '-'],
-    ['Account Number', selectedBank.accountNumber || '-'],
-    ['Bank', selectedBank.bankName || selectedBank.label || '-'],
-    ['IFSC', selectedBank.ifsc || '-']
-  ];
+  const staleItems = await loadStalePriceItems({ quoteId: id });
+  const currentPrices = new Map(staleItems.map((row) => [Number(row.product_id), row]));
+  const items = loaded.items.map((item) => {
+    const current = currentPrices.get(Number(item.product_id));
+    return current
+      ? { ...item, unit_price: current.current_price, gst_rate: current.current_gst_rate }
+      : item;
+  });
 
-  if (selectedBank.branch) {
-    rows.push(['Branch', selectedBank.branch]);
+  // Saved through the normal path so the refresh gets its own revision and audit entry.
+  try {
+    await saveQuote({
+      quoteId: id,
+      user: res.locals.authUser,
+      body: {
+        quote_date: loaded.quote.quote_date_display,
+        customer_id: loaded.quote.customer_id,
+        customer_name: loaded.quote.customer_name,
+        customer_phone: loaded.quote.customer_phone,
+        customer_email: loaded.quote.customer_email,
+        customer_address: loaded.quote.customer_address,
+        customer_gstin: loaded.quote.customer_gstin,
+        place_of_supply: loaded.quote.place_of_supply_choice,
+        selected_bank_key: loaded.quote.selected_bank_key,
+        system_kwp: loaded.quote.system_kwp,
+        module_wattage: loaded.quote.module_wattage,
+        inverter_kw: loaded.quote.inverter_kw,
+        subsidy_category: loaded.quote.subsidy_category,
+        discount_type: loaded.quote.discount_type,
+        discount_value: loaded.quote.discount_value,
+        projection_yield: loaded.quote.projection_yield,
+        projection_tariff: loaded.quote.projection_tariff,
+        projection_escalation: loaded.quote.projection_escalation,
+        projection_first_year_degradation: loaded.quote.projection_first_year_degradation,
+        projection_annual_degradation: loaded.quote.projection_annual_degradation,
+        language: loaded.quote.language,
+        proposal_template_id: loaded.quote.proposal_template_id || '',
+        notes: loaded.quote.notes,
+        items_json: JSON.stringify(items),
+        proposal_items_json: JSON.stringify(loaded.proposalItems),
+        quote_sections: loaded.sections
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    return renderErrorPage(res, 422, {
+      title: 'Prices Not Refreshed',
+      message: `Open the quote and fix this first: ${error.message}`
+    });
   }
 
-  const estimatedHeight = titleHeight + (rows.length * rowHeight);
-  if (y + estimatedHeight > doc.page.height - doc.page.margins.bottom) {
-    doc.addPage();
-    y = doc.page.margins.top;
-  }
+  res.redirect(withBase(`/quotes/${id}/edit?refreshed=${staleItems.length}`));
+}));
 
-  doc.save();
-  doc.rect(x, y, width, titleHeight).fill('#ececec');
-  doc.restore();
-  doc.rect(x, y, width, titleHeight).stroke();
-  doc.font('Helvetica-Bold').fontSize(12).text('Bank Account Details', x, y + 6, {
-    width,
-    align: 'center'
-  });
-  y += titleHeight;
+app.get('/quotes/:id/revisions/diff', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const fromNo = Number(req.query.from || 0);
+  const toNo = Number(req.query.to || 0);
+  const [fromRevision, toRevision] = await Promise.all([
+    loadQuoteRevision(id, fromNo),
+    loadQuoteRevision(id, toNo)
+  ]);
+
+  if (!fromRevision || !toRevision) {
+    return res.status(404).send('Quote revision not found');
+  }
 
-  rows.forEach(([label, value]) => {
-    doc.rect(x, y, 160, rowHeight).stroke();
-    doc.rect(x + 160, y, width - 160, rowHeight).stroke();
-    doc.font('Helvetica-Bold').fontSize(10).text(label, x + 6, y + 6, { width: 148 });
-    doc.font('Helvetica').fontSize(10).text(value, x + 166, y + 6, { width: width - 172 });
-    y += rowHeight;
+  res.render('quote_revision_diff', {
+    company,
+    quoteId: id,
+    fromLabel: formatQuoteRevisionLabel(fromRevision.quote.quote_no, fromNo),
+    toLabel: formatQuoteRevisionLabel(toRevision.quote.quote_no, toNo),
+    fromNo,
+    toNo,
+    diff: buildQuoteRevisionDiff(fromRevision, toRevision)
   });
+}));
 
-  return y;
-}
+app.get('/quotes/:id/history', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [[quote]] = await pool.query('SELECT id, quote_no, revision_no, customer_name FROM quotes WHERE id = ?', [id]);
 
-function generatePdfKitBuffer({ quote, items, proposalItems, selectedBank, quoteId }) {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ margin: 40, size: 'A4' });
-    const chunks = [];
+  if (!quote) {
+    return res.status(404).send('Quote not found');
+  }
 
-    doc.on('data', (chunk) => chunks.push(chunk));
-    doc.on('end', () => resolve(Buffer.concat(chunks)));
-    doc.on('error', reject);
+  const entries = await loadAuditLog({ entityType: 'quote', entityId: quote.id, limit: 500 });
+  res.render('quote_history', {
+    company,
+    quote,
+    quoteLabel: formatQuoteRevisionLabel(quote.quote_no, quote.revision_no),
+    entries
+  });
+}));
 
-    try {
-      const logoPath = path.join(__dirname, 'public', 'logo.png');
-      if (fs.existsSync(logoPath)) {
-        doc.image(logoPath, 40, 40, { width: 120 });
-      }
+app.get('/quotes/:id/pdf', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const revisionNo = Number(req.query.revision || 0);
+  let quote = null;
+  let items = [];
+
+  if (revisionNo) {
+    const revision = await loadQuoteRevision(id, revisionNo);
+    if (!revision) {
+      return res.status(404).send('Quote revision not found');
+    }
+    ({ quote, items } = revision);
+  } else {
+    [[quote]] = await pool.query('SELECT * FROM quotes WHERE id = ?', [id]);
+    [items] = await pool.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [id]);
+  }
 
-      doc
-        .fontSize(18)
-        .text(company.name, 180, 45)
-        .fontSize(10)
-        .text(company.tagline || '', 180, 65)
-        .text(company.address || '', 180, 80)
-        .text(`Phone: ${company.phone || ''}`, 180, 95)
-        .text(`Email: ${company.email || ''}`, 180, 110)
-        .text(`GSTIN: ${company.gstin || ''}`, 180, 125);
+  if (!quote) {
+    return res.status(404).send('Quote not found');
+  }
 
-      doc.moveDown(2);
-      doc
-        .fontSize(16)
-        .text('Quotation', { align: 'right' })
-        .fontSize(10)
-        .text(`Quote No: ${quote.quote_no || `quote-${quoteId}`}`, { align: 'right' })
-        .text(`Date: ${formatDate(quote.quote_date)}`, { align: 'right' });
+  const proposalItems = parseProposalItems(quote.proposal_items_json);
+  const sections = parseQuoteSections(quote);
+  const selectedBank = getSelectedBank(quote.selected_bank_key);
+  const fileLabel = formatQuoteRevisionLabel(quote.quote_no || `quote-${id}`, quote.revision_no);
 
-      doc.moveDown();
-      doc
-        .fontSize(11)
-        .text(`Customer: ${quote.customer_name}`)
-        .text(`Phone: ${quote.customer_phone || '-'}`)
-        .text(`Email: ${quote.customer_email || '-'}`)
-        .text(`GSTIN: ${quote.customer_gstin || '-'}`)
-        .text(`Address: ${quote.customer_address || '-'}`);
+  await sendPdf(res, {
+    fileLabel,
+    buildPdfKit: () => generatePdfKitBuffer({ quote, items, proposalItems, sections, selectedBank, quoteId: id }),
+    buildFallbackLines: () => buildFallbackPdfLines({ quote, items, proposalItems, sections, selectedBank })
+  });
+}));
 
-      doc.moveDown();
+app.get('/customers/search', asyncHandler(async (req, res) => {
+  const customers = await searchCustomers(req.query.q);
+  res.json(customers);
+}));
 
-      const tableTop = doc.y + 10;
-      const itemStartY = tableTop + 20;
+app.get('/customers', asyncHandler(async (req, res) => {
+  const search = String(req.query.q || '').trim();
+  let sql = `SELECT c.id, c.name, c.phone, c.email, c.gstin,
+                    COUNT(q.id) AS quote_count, COALESCE(SUM(q.total), 0) AS quoted_total, MAX(q.quote_date) AS last_quote_date
+             FROM customers c
+             LEFT JOIN quotes q ON q.customer_id = c.id`;
+  const params = [];
 
-      const col = {
-        no: 40,
-        name: 70,
-        hsn: 240,
-        qty: 300,
-        rate: 340,
-        gst: 400,
-        total: 470
-      };
+  if (search) {
+    const phoneKey = search.replace(/\D/g, '');
+    sql += " WHERE c.name LIKE ? OR c.gstin LIKE ? OR (? <> '' AND c.phone_key LIKE ?)";
+    params.push(`%${search}%`, `${search.toUpperCase()}%`, phoneKey, `%${phoneKey}%`);
+  }
 
-      doc
-        .fontSize(9)
-        .text('No', col.no, tableTop)
-        .text('Item', col.name, tableTop)
-        .text('HSN', col.hsn, tableTop)
-        .text('Qty', col.qty, tableTop)
-        .text('Rate', col.rate, tableTop)
-        .text('GST%', col.gst, tableTop)
-        .text('Total', col.total, tableTop, { align: 'right', width: 80 });
+  sql += ' GROUP BY c.id ORDER BY c.name, c.id';
 
-      doc.moveTo(40, tableTop + 12).lineTo(555, tableTop + 12).stroke();
+  const [customersRaw] = await pool.query(sql, params);
+  const customers = customersRaw.map((customer) => ({
+    ...customer,
+    last_quote_date_display: customer.last_quote_date ? formatDate(customer.last_quote_date) : ''
+  }));
 
-      let y = itemStartY;
-      items.forEach((item, index) => {
-        if (y > 700) {
-          doc.addPage();
-          y = 60;
-        }
+  res.render('customers', { company, customers, search });
+}));
 
-        const qty = Number(item.qty || 0);
-        const unitPrice = Number(item.unit_price || 0);
-        const gstRate = Number(item.gst_rate || 0);
-        const lineTotal = Number(item.total || 0);
-
-        doc
-          .fontSize(9)
-          .text(String(index + 1), col.no, y)
-          .text(item.name, col.name, y, { width: 160 })
-          .text(item.hsn || '-', col.hsn, y)
-          .text(String(qty), col.qty, y)
-          .text(unitPrice.toFixed(2), col.rate, y)
-          .text(gstRate.toFixed(2), col.gst, y)
-          .text(lineTotal.toFixed(2), col.total, y, { align: 'right', width: 80 });
+app.get('/customers/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const [[customer]] = await pool.query('SELECT * FROM customers WHERE id = ?', [id]);
 
-        y += 20;
-      });
+  if (!customer) {
+    return res.status(404).send('Customer not found');
+  }
 
-      doc
-        .fontSize(10)
-        .text(`Subtotal: ${Number(quote.subtotal).toFixed(2)}`, 350, y + 10, { align: 'right', width: 200 })
-        .text(`CGST: ${Number(quote.cgst_total).toFixed(2)}`, 350, y + 25, { align: 'right', width: 200 })
-        .text(`SGST: ${Number(quote.sgst_total).toFixed(2)}`, 350, y + 40, { align: 'right', width: 200 })
-        .fontSize(12)
-        .text(`Grand Total: ${Number(quote.total).toFixed(2)}`, 350, y + 60, { align: 'right', width: 200 });
+  await expireOverdueQuotes();
 
-      let sectionY = y + 100;
+  const [quotesRaw] = await pool.query(
+    `SELECT q.id, q.quote_no, q.revision_no, q.quote_date, q.status, q.subtotal, q.total,
+            i.id AS invoice_id, i.invoice_no, i.total AS invoice_total
+     FROM quotes q
+     LEFT JOIN invoices i ON i.quote_id = q.id
+     WHERE q.customer_id = ?
+     ORDER BY q.quote_date DESC, q.id DESC`,
+    [customer.id]
+  );
+  const quotes = quotesRaw.map((quote) => ({
+    ...quote,
+    quote_no_display: formatQuoteRevisionLabel(quote.quote_no, quote.revision_no),
+    quote_date_display: formatDate(quote.quote_date),
+    status_label: getQuoteStatusLabel(quote.status)
+  }));
+  const totals = quotes.reduce((acc, quote) => {
+    acc.quoted += Number(quote.total || 0);
+    if (quote.status === 'accepted') {
+      acc.accepted += Number(quote.total || 0);
+    }
+    if (quote.invoice_id) {
+      acc.invoiced += Number(quote.invoice_total || 0);
+    }
+    return acc;
+  }, { quoted: 0, accepted: 0, invoiced: 0 });
 
-      sectionY = drawTable(doc, {
-        title: 'ITEMS CONSIDERED FOR PROPOSAL',
-        startY: sectionY,
-        columns: [
-          { key: 'sr_no', label: 'Sr.no', width: 40, align: 'center' },
-          { key: 'description', label: 'Description', width: 170 },
-          { key: 'unit', label: 'Unit', width: 60, align: 'center' },
-          { key: 'qty', label: 'Qty.', width: 70, align: 'center' },
-          { key: 'specification', label: 'Specification', width: 85, align: 'center' },
-          { key: 'make', label: 'Make', width: 90, align: 'center' }
-        ],
-        rows: proposalItems
-      }) + 12;
+  res.render('customer_detail', { company, customer, quotes, totals });
+}));
 
-      const estimatedRows = estimatedOtherCharges.map((row) => ({
-        item: row.item,
-        remark: row.remark
-      }));
+app.get('/invoices', asyncHandler(async (req, res) => {
+  const search = String(req.query.q || '').trim();
 
-      if (company.estimatedOtherChargesFooter) {
-        estimatedRows.push({
-          item: company.estimatedOtherChargesFooter,
-          remark: ''
-        });
-      }
+  let sql = 'SELECT id, invoice_no, invoice_date, quote_id, quote_no, quote_revision_no, customer_name, total FROM invoices';
+  const params = [];
 
-      sectionY = drawTable(doc, {
-        title: 'Estimated Other Charges',
-        startY: sectionY,
-        columns: [
-          { key: 'item', label: 'Particulars', width: 375, align: 'center' },
-          { key: 'remark', label: 'Status', width: 140, align: 'center' }
-        ],
-        rows: estimatedRows
-      }) + 12;
+  if (search) {
+    sql += ' WHERE customer_name LIKE ? OR invoice_no LIKE ?';
+    params.push(`%${search}%`, `%${search}%`);
+  }
 
-      if (customerScopeRows.length) {
-        sectionY = drawTable(doc, {
-          title: 'Scope Of Work',
-          startY: sectionY,
-          columns: [
-            { key: 'sr_no', label: 'Sr.no', width: 45, align: 'center' },
-            { key: 'description', label: 'Description', width: 280 },
-            { key: 'remark', label: 'Customer Scope', width: 190, align: 'center' }
-          ],
-          rows: customerScopeRows
-        }) + 12;
-      }
+  sql += ' ORDER BY id DESC';
 
-      sectionY = drawTable(doc, {
-        title: 'Terms & Conditions',
-        startY: sectionY,
-        columns: [
-          { key: 'sr_no', label: 'Sr.no', width: 45, align: 'center' },
-          { key: 'parameter', label: 'Parameters', width: 240 },
-          { key: 'remark', label: 'Remarks', width: 230, align: 'center' }
-        ],
-        rows: termsConditions
-      }) + 12;
+  const [invoicesRaw] = await pool.query(sql, params);
+  const invoices = invoicesRaw.map((invoice) => ({
+    ...invoice,
+    invoice_date_display: formatDate(invoice.invoice_date),
+    quote_label: formatQuoteRevisionLabel(invoice.quote_no, invoice.quote_revision_no)
+  }));
 
-      sectionY = drawTable(doc, {
-        title: 'Warrantee',
-        startY: sectionY,
-        columns: [
-          { key: 'sr_no', label: 'Sr.no', width: 45, align: 'center' },
-          { key: 'parameter', label: 'Parameters', width: 240 },
-          { key: 'remark', label: 'Remarks', width: 230, align: 'center' }
-        ],
-        rows: warrantyRows,
-        keepTogether: true
-      }) + 10;
+  res.render('invoices', { invoices, company, search });
+}));
 
-      sectionY = drawBankDetailsSection(doc, sectionY, selectedBank) + 12;
+app.post('/quotes/:id/invoice', asyncHandler(async (req, res) => {
+  const invoiceId = await createInvoiceFromQuote({
+    quoteId: req.params.id,
+    reverseCharge: req.body.reverse_charge === '1',
+    user: res.locals.authUser
+  });
+  res.redirect(withBase(`/invoices/${invoiceId}/pdf`));
+}));
 
-      if (quote.notes) {
-        if (sectionY > doc.page.height - 100) {
-          doc.addPage();
-          sectionY = doc.page.margins.top;
-        }
-        doc.font('Helvetica-Bold').fontSize(10).text('Additional Note:', 40, sectionY);
-        doc.font('Helvetica').fontSize(10).text(quote.notes, 40, sectionY + 14, { width: 515 });
-        const noteHeight = doc.heightOfString(quote.notes, { width: 515 });
-        sectionY += noteHeight + 28;
-      }
+app.get('/invoices/:id/pdf', asyncHandler(async (req, res) => {
+  const loaded = await loadInvoice(req.params.id);
+  if (!loaded) {
+    return res.status(404).send('Invoice not found');
+  }
 
-      drawSignatorySection(doc, sectionY + 12);
+  const { invoice, items } = loaded;
+  const selectedBank = getSelectedBank(invoice.selected_bank_key);
 
-      doc.end();
-    } catch (error) {
-      reject(error);
-    }
+  await sendPdf(res, {
+    fileLabel: invoice.invoice_no,
+    buildPdfKit: () => generateInvoicePdfKitBuffer({ invoice, items, selectedBank }),
+    buildFallbackLines: () => buildFallbackInvoicePdfLines({ invoice, items, selectedBank })
+  });
+}));
+
+async function renderNumberingSettings(res, locals = {}) {
+  const sequences = await loadDocumentSequenceSettings();
+  res.render('settings_numbering', {
+    company,
+    sequences,
+    errors: {},
+    submitted: null,
+    saved: false,
+    ...locals
   });
 }
 
-app.get('/login', (req, res) => {
-  const cookies = parseCookies(req.headers.cookie || '');
-  const currentUser = verifyAuthToken(cookies[authConfig.cookieName]);
-  const nextPath = getSafeNextPath(req.query.next);
+app.get('/settings/numbering', asyncHandler(async (req, res) => {
+  await renderNumberingSettings(res, { saved: req.query.saved === '1' });
+}));
 
-  if (currentUser) {
-    return res.redirect(withBase(nextPath));
+app.post('/settings/numbering', asyncHandler(async (req, res) => {
+  const submitted = {
+    series: text(req.body.series),
+    period: text(req.body.period),
+    next_value: text(req.body.next_value).trim()
+  };
+
+  try {
+    await setDocumentSequenceStart({
+      series: submitted.series,
+      period: submitted.period,
+      nextValue: submitted.next_value,
+      user: res.locals.authUser
+    });
+    return res.redirect(withBase('/settings/numbering?saved=1'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+
+    res.status(422);
+    return renderNumberingSettings(res, { errors: error.fieldErrors, submitted });
   }
+}));
+
+// Each section is saved as a whole, like the kit editor: rows are reordered
+// by their Position, removed by ticking Remove and added in the blank rows.
+function getSectionTranslationForms(section) {
+  const entries = [
+    ...(company[section] || []).map((row) => ({ section, row })),
+    ...(section === 'estimatedOtherCharges' && company.estimatedOtherChargesFooter
+      ? [{ section: 'estimatedOtherChargesFooter', row: { text: company.estimatedOtherChargesFooter } }]
+      : [])
+  ];
+
+  return getTranslationLanguages().map((language) => ({
+    language,
+    name: quoteLanguages[language].name || language,
+    fields: getTranslatedFields(section),
+    rows: entries.map((entry) => ({
+      sourceKey: getSectionRowSourceKey(entry.section, entry.row),
+      english: entry.section === 'estimatedOtherChargesFooter'
+        ? `Footer Line: ${entry.row.text}`
+        : describeSettingRow(getSettingTranslationFields(entry.section), entry.row),
+      fields: getTranslatedFields(entry.section),
+      values: findSettingTranslation(entry.section, language, entry.row) || {}
+    }))
+  }));
+}
 
-  return res.render('login', {
+async function renderCompanySettings(res, locals = {}) {
+  res.render('settings_company', {
     company,
-    title: 'Sign In',
-    nextPath,
-    error: ''
+    profileFields: companyProfileFields,
+    sections: Object.keys(companySettingSections).map((key) => ({
+      key,
+      ...companySettingSections[key],
+      rows: company[key] || [],
+      translations: translatedSettingSections.includes(key) ? getSectionTranslationForms(key) : []
+    })),
+    errors: {},
+    submitted: null,
+    savedMessage: '',
+    ...locals
   });
-});
+}
 
-app.post('/login', (req, res) => {
-  const username = text(req.body.username).trim();
-  const password = text(req.body.password);
-  const nextPath = getSafeNextPath(req.body.next);
+app.get('/settings/company', asyncHandler(async (req, res) => {
+  const savedSection = text(req.query.saved);
+  const savedLanguage = text(req.query.language);
+  let savedTitle = savedSection === 'profile'
+    ? 'Company profile'
+    : companySettingSections[savedSection] && companySettingSections[savedSection].title;
+  if (savedTitle && savedLanguage && getTranslationLanguages().includes(savedLanguage)) {
+    savedTitle = `${savedTitle} (${quoteLanguages[savedLanguage].name || savedLanguage}) translation`;
+  }
+  await renderCompanySettings(res, { savedMessage: savedTitle ? `${savedTitle} saved.` : '' });
+}));
 
-  if (username !== authConfig.username || password !== authConfig.password) {
-    return res.status(401).render('login', {
-      company,
-      title: 'Sign In',
-      nextPath,
-      error: 'Invalid username or password.'
-    });
+app.post('/settings/company/profile', asyncHandler(async (req, res) => {
+  try {
+    await saveCompanyProfile({ body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase('/settings/company?saved=profile'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    res.status(422);
+    return renderCompanySettings(res, { errors: error.fieldErrors, submitted: { section: 'profile', values: req.body } });
   }
+}));
 
-  const token = createAuthToken(username);
-  setAuthCookie(res, token);
-  return res.redirect(withBase(nextPath));
-});
+app.post('/settings/company/:section', asyncHandler(async (req, res) => {
+  const { section } = req.params;
+  if (!hasOwn(companySettingSections, section)) {
+    return res.status(404).send('Settings section not found');
+  }
 
-app.get('/logout', (req, res) => {
-  clearAuthCookie(res);
-  res.redirect(withBase('/login'));
-});
+  try {
+    await saveCompanySettingSection({ section, body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase(`/settings/company?saved=${section}#${section}`));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    const rows = Array.isArray(req.body.rows) ? req.body.rows : Object.values(req.body.rows || {});
+    res.status(422);
+    return renderCompanySettings(res, { errors: error.fieldErrors, submitted: { section, rows } });
+  }
+}));
 
-app.use((req, res, next) => {
-  if (req.path === '/login' || req.path === '/logout') {
-    return next();
+app.post('/settings/company/:section/translations/:language', asyncHandler(async (req, res) => {
+  const { section, language } = req.params;
+  if (!translatedSettingSections.includes(section) || !hasOwn(companySettingSections, section)
+    || !getTranslationLanguages().includes(language)) {
+    return res.status(404).send('Settings section not found');
   }
 
-  const cookies = parseCookies(req.headers.cookie || '');
-  const authUser = verifyAuthToken(cookies[authConfig.cookieName]);
-  if (!authUser) {
-    const nextPath = getSafeNextPath(req.url || '/');
-    return res.redirect(withBase(`/login?next=${encodeURIComponent(nextPath)}`));
+  try {
+    await saveSectionTranslations({ section, language, body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase(`/settings/company?saved=${section}&language=${language}#${section}-${language}`));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    const rows = Array.isArray(req.body.rows) ? req.body.rows : Object.values(req.body.rows || {});
+    res.status(422);
+    return renderCompanySettings(res, { errors: error.fieldErrors, submitted: { section, language, rows } });
   }
+}));
 
-  res.locals.authUser = authUser;
-  return next();
-});
+app.get('/settings/proposal-templates', asyncHandler(async (req, res) => {
+  res.render('proposal_templates', { company, templates: proposalTemplates });
+}));
 
-app.get('/', asyncHandler(async (req, res) => {
-  const [products] = await pool.query('SELECT * FROM products ORDER BY name');
-  res.render('quote_new', {
-    products,
+function renderProposalTemplateForm(res, { template = null, submitted = null, errors = {} } = {}) {
+  const position = template ? proposalTemplates.indexOf(template) + 1 : proposalTemplates.length + 1;
+  const form = submitted
+    ? {
+      name: text(submitted.name),
+      position: text(submitted.position),
+      rows: Array.isArray(submitted.rows) ? submitted.rows : Object.values(submitted.rows || {})
+    }
+    : {
+      name: template ? template.name : '',
+      position: String(position),
+      rows: [
+        ...(template ? template.rows : []).map((row, index) => ({ ...row, position: index + 1 })),
+        ...Array.from({ length: template ? 2 : 6 }, () => ({ position: '' }))
+      ]
+    };
+
+  res.render('proposal_template_edit', {
     company,
-    pageTitle: 'New Quotation',
-    formAction: '/quotes',
-    submitLabel: 'Save & Download PDF',
-    quote: null,
-    initialItems: [],
-    initialProposalItems: getDefaultProposalItems()
+    template,
+    form,
+    fields: proposalTemplateFields,
+    errors
   });
-}));
+}
 
-app.get('/products', asyncHandler(async (req, res) => {
-  const [products] = await pool.query('SELECT * FROM products ORDER BY name');
-  res.render('products', { products, company });
+app.get('/settings/proposal-templates/new', asyncHandler(async (req, res) => {
+  renderProposalTemplateForm(res);
 }));
 
-app.post('/products', asyncHandler(async (req, res) => {
-  const { name, description, hsn, unit, price, gst_rate } = req.body;
-  if (!name) {
-    return res.redirect(withBase('/products'));
+app.post('/settings/proposal-templates', asyncHandler(async (req, res) => {
+  try {
+    await saveProposalTemplate({ body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase('/settings/proposal-templates'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    res.status(422);
+    return renderProposalTemplateForm(res, { submitted: req.body, errors: error.fieldErrors });
   }
+}));
 
-  await pool.query(
-    'INSERT INTO products (name, description, hsn, unit, price, gst_rate) VALUES (?, ?, ?, ?, ?, ?)',
-    [name, description || null, hsn || null, unit || null, price || 0, gst_rate || 0]
-  );
+app.get('/settings/proposal-templates/:id/edit', asyncHandler(async (req, res) => {
+  const template = findProposalTemplate(req.params.id);
 
-  res.redirect(withBase('/products'));
+  if (!template) {
+    return res.status(404).send('Proposal template not found');
+  }
+
+  renderProposalTemplateForm(res, { template });
 }));
 
-app.get('/products/:id/edit', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const [[product]] = await pool.query('SELECT * FROM products WHERE id = ?', [id]);
+app.post('/settings/proposal-templates/:id', asyncHandler(async (req, res) => {
+  const template = findProposalTemplate(req.params.id);
 
-  if (!product) {
-    return res.status(404).send('Product not found');
+  if (!template) {
+    return res.status(404).send('Proposal template not found');
   }
 
-  res.render('product_edit', { company, product });
+  try {
+    await saveProposalTemplate({ templateId: template.id, body: req.body, user: res.locals.authUser });
+    return res.redirect(withBase('/settings/proposal-templates'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    res.status(422);
+    return renderProposalTemplateForm(res, { template, submitted: req.body, errors: error.fieldErrors });
+  }
 }));
 
-app.post('/products/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { name, description, hsn, unit, price, gst_rate } = req.body;
+app.get('/settings/proposal-templates/:id/delete', asyncHandler(async (req, res) => {
+  const template = findProposalTemplate(req.params.id);
 
-  await pool.query(
-    `UPDATE products
-     SET name = ?, description = ?, hsn = ?, unit = ?, price = ?, gst_rate = ?
-     WHERE id = ?`,
-    [name, description || null, hsn || null, unit || null, price || 0, gst_rate || 0, id]
-  );
+  if (!template) {
+    return res.status(404).send('Proposal template not found');
+  }
+  if (proposalTemplates.length === 1) {
+    return res.status(400).send('The last proposal template cannot be deleted.');
+  }
 
-  res.redirect(withBase('/products'));
+  res.render('confirm', {
+    company,
+    title: 'Delete Proposal Template',
+    message: `Delete the proposal template "${template.name}"? Quotes that used it keep their proposal rows.`,
+    details: template.rows.map((row, index) => ({ label: row.sr_no || String(index + 1), value: row.description })),
+    action: `/settings/proposal-templates/${template.id}/delete`,
+    submitLabel: 'Delete Template',
+    cancelPath: '/settings/proposal-templates'
+  });
 }));
 
-app.post('/products/:id/delete', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  await pool.query('DELETE FROM products WHERE id = ?', [id]);
-  res.redirect(withBase('/products'));
-}));
+app.post('/settings/proposal-templates/:id/delete', asyncHandler(async (req, res) => {
+  const template = findProposalTemplate(req.params.id);
 
-app.get('/quotes', asyncHandler(async (req, res) => {
-  const search = String(req.query.q || '').trim();
+  if (template && proposalTemplates.length > 1) {
+    await deleteProposalTemplate({ template, user: res.locals.authUser });
+  }
 
-  let sql = 'SELECT id, quote_no, quote_date, customer_name, total FROM quotes';
-  const params = [];
+  res.redirect(withBase('/settings/proposal-templates'));
+}));
 
-  if (search) {
-    sql += ' WHERE customer_name LIKE ?';
-    params.push(`%${search}%`);
-  }
+const auditDatePattern = /^\d{4}-\d{2}-\d{2}$/;
 
-  sql += ' ORDER BY id DESC';
+app.get('/audit', asyncHandler(async (req, res) => {
+  const filters = {
+    entity: auditEntityTypes[req.query.entity] ? req.query.entity : '',
+    id: text(req.query.id).trim(),
+    user: text(req.query.user).trim(),
+    from: auditDatePattern.test(text(req.query.from)) ? text(req.query.from) : '',
+    to: auditDatePattern.test(text(req.query.to)) ? text(req.query.to) : ''
+  };
 
-  const [quotesRaw] = await pool.query(sql, params);
-  const quotes = quotesRaw.map((quote) => ({
-    ...quote,
-    quote_date_display: formatDate(quote.quote_date)
-  }));
+  const [entries, [usernameRows]] = await Promise.all([
+    loadAuditLog({
+      entityType: filters.entity,
+      entityId: filters.id,
+      username: filters.user,
+      fromDate: filters.from,
+      toDate: filters.to
+    }),
+    pool.query('SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username')
+  ]);
 
-  res.render('quotes', { quotes, company, search });
+  res.render('audit', {
+    company,
+    entries,
+    filters,
+    entityOptions: Object.keys(auditEntityTypes).map((value) => ({ value, label: auditEntityTypes[value] })),
+    usernames: usernameRows.map((row) => row.username)
+  });
 }));
 
-app.post('/quotes', asyncHandler(async (req, res) => {
-  const quoteId = await saveQuote({ body: req.body });
-  res.redirect(withBase(`/quotes/${quoteId}/pdf`));
-}));
+const userSavedMessages = {
+  created: 'User created.',
+  updated: 'User updated.',
+  password: 'Password reset. Share the new password with the user.'
+};
 
-app.get('/quotes/:id/edit', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const loaded = await loadQuote(id);
+async function renderUsersPage(res, locals = {}) {
+  const users = await loadUsers();
+  res.render('users', {
+    company,
+    users,
+    roleOptions: Object.keys(userRoles).map((value) => ({ value, label: userRoles[value] })),
+    errors: {},
+    submitted: null,
+    savedMessage: '',
+    ...locals
+  });
+}
 
-  if (!loaded) {
-    return res.status(404).send('Quote not found');
+async function handleUserFormErrors(res, error, submitted) {
+  if (!(error instanceof ValidationError)) {
+    throw error;
   }
 
-  const [products] = await pool.query('SELECT * FROM products ORDER BY name');
+  res.status(422);
+  return renderUsersPage(res, { errors: error.fieldErrors, submitted });
+}
 
-  res.render('quote_new', {
-    products,
-    company,
-    pageTitle: `Edit Quotation ${loaded.quote.quote_no || ''}`,
-    formAction: `/quotes/${id}`,
-    submitLabel: 'Update & Download PDF',
-    quote: loaded.quote,
-    initialItems: loaded.items,
-    initialProposalItems: loaded.proposalItems
-  });
+app.get('/users', asyncHandler(async (req, res) => {
+  await renderUsersPage(res, { savedMessage: userSavedMessages[req.query.saved] || '' });
 }));
 
-app.post('/quotes/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const quoteId = await saveQuote({ body: req.body, quoteId: id });
-  res.redirect(withBase(`/quotes/${quoteId}/pdf`));
+app.post('/users', asyncHandler(async (req, res) => {
+  const submitted = {
+    form: 'create',
+    username: text(req.body.username).trim(),
+    display_name: text(req.body.display_name).trim(),
+    role: text(req.body.role)
+  };
+
+  try {
+    await createUser({
+      username: submitted.username,
+      displayName: submitted.display_name,
+      role: submitted.role,
+      password: text(req.body.password),
+      actingUser: res.locals.authUser
+    });
+    return res.redirect(withBase('/users?saved=created'));
+  } catch (error) {
+    return handleUserFormErrors(res, error, submitted);
+  }
 }));
 
-app.get('/quotes/:id/pdf', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const [[quote]] = await pool.query('SELECT * FROM quotes WHERE id = ?', [id]);
-  const [items] = await pool.query('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [id]);
+app.post('/users/:id', asyncHandler(async (req, res) => {
+  const userId = Number(req.params.id);
+  const submitted = { form: 'update', userId };
 
-  if (!quote) {
-    return res.status(404).send('Quote not found');
+  try {
+    await updateUser({
+      userId,
+      displayName: req.body.display_name,
+      role: text(req.body.role),
+      isActive: req.body.is_active === '1',
+      actingUser: res.locals.authUser
+    });
+    return res.redirect(withBase('/users?saved=updated'));
+  } catch (error) {
+    return handleUserFormErrors(res, error, submitted);
   }
+}));
 
-  const proposalItems = parseProposalItems(quote.proposal_items_json);
-  const selectedBank = getSelectedBank(quote.selected_bank_key);
-  const fileName = `${quote.quote_no || `quote-${id}`}.pdf`;
-  let pdfBuffer;
-  let pdfEngine = 'pdfkit';
+app.post('/users/:id/password', asyncHandler(async (req, res) => {
+  const userId = Number(req.params.id);
+  const submitted = { form: 'password', userId };
 
   try {
-    pdfBuffer = await generatePdfKitBuffer({ quote, items, proposalItems, selectedBank, quoteId: id });
+    const { authUser } = res.locals;
+    await setUserPassword(userId, text(req.body.password), {
+      keepSessionId: Number(authUser.id) === userId ? authUser.sessionId : null,
+      actingUser: authUser
+    });
+    return res.redirect(withBase('/users?saved=password'));
   } catch (error) {
-    if (!isPdfkitFontDataError(error)) {
+    return handleUserFormErrors(res, error, submitted);
+  }
+}));
+
+async function renderAccountPage(res, locals = {}) {
+  const { authUser } = res.locals;
+  const sessions = await loadUserSessions(authUser.id, authUser.sessionId);
+  res.render('account_password', {
+    company,
+    sessions,
+    errors: {},
+    saved: false,
+    ...locals
+  });
+}
+
+app.get('/account/password', asyncHandler(async (req, res) => {
+  await renderAccountPage(res, { saved: req.query.saved === '1' });
+}));
+
+app.post('/account/password', asyncHandler(async (req, res) => {
+  try {
+    await changeOwnPassword({
+      user: res.locals.authUser,
+      currentPassword: text(req.body.current_password),
+      newPassword: text(req.body.new_password),
+      confirmPassword: text(req.body.confirm_password)
+    });
+    return res.redirect(withBase('/account/password?saved=1'));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
       throw error;
     }
 
-    console.warn('PDFKit font data missing, using basic PDF fallback:', error.message);
-    pdfEngine = 'basic-fallback';
-    pdfBuffer = createSimplePdfBuffer(
-      buildFallbackPdfLines({ quote, items, proposalItems, selectedBank })
-    );
+    res.status(422);
+    return renderAccountPage(res, { errors: error.fieldErrors });
   }
+}));
 
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-  res.setHeader('X-PDF-Engine', pdfEngine);
-  res.send(pdfBuffer);
+app.post('/account/sessions/revoke', asyncHandler(async (req, res) => {
+  await revokeUserSessions(res.locals.authUser.id);
+  clearAuthCookie(res);
+  res.redirect(withBase('/login'));
 }));
 
 app.use((error, req, res, next) => {
   console.error(error);
-  res.status(400).send(error.message || 'Something went wrong.');
+  renderErrorPage(res, 400, {
+    title: 'Something Went Wrong',
+    message: error.message || 'Something went wrong.'
+  });
 });
 
 async function startServer() {
   try {
     await ensureQuoteEnhancements();
+    await refreshCompanySettings();
+    await expireOverdueQuotes();
+    setInterval(() => {
+      expireOverdueQuotes().catch((error) => console.error('Failed to expire quotes:', error.message));
+      pruneAuthRecords().catch((error) => console.error('Failed to prune sessions:', error.message));
+    }, 60 * 60 * 1000).unref();
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
     });